@@ -47,29 +47,25 @@ Object.defineProperty(global, "PROD", {
     },
 });
 
+// Logging engine reads PROD, so it is loaded first
+const log = require("./private/log.js");
+
 if (PROD)
-    console.log("Started in production mode");
+    log.info("Started in production mode");
 else
-    console.warn("Started in debug mode");
+    log.warn("Started in debug mode");
 
 /*****************************************************************************/
 
 const error = require("./private/error.js");
 const db = require("./private/db.js");
+const flags = require("./private/flags.js");
 const hack = require("./private/hack.js");
+const metrics = require("./private/metrics.js");
 const server = require("./private/server.js");
+const throttle = require("./private/throttle.js");
+const version = require("./private/version.js");
 
-/*****************************************************************************/
-
-// Kill switches for quick disaster response
-const ALLOW_SERVER = true;
-const ALLOW_REPORTS = true;
-
-// Kill switches for debugging
-const ALLOW_INVALID_URLS = true;
-const ALLOW_DEBUG_CALLS = true;
-const ALLOW_DEBUG_ECHOS = true;
-const ALLOW_DRY_RUN_LOGS = true;
 
 /*****************************************************************************/
 
@@ -77,33 +73,92 @@ const HOST_DOMAIN = "nanoserver.herokuapp.com";
 
 const SIZE_LIM_ECHO_CALL = 32;
 const SIZE_LIM_DB_CALL = 8192;
+const SIZE_LIM_IMPORT_CALL = 4194304;
+
+const MAX_MAP_KEYS = 32;
+
+// Times are in milliseconds since epoch, this is the latest a Date can hold
+const MAX_TIME = 8640000000000000;
 
 const MIN_LEN_DB_SECRET = 16;
 const MAX_LEN_DB_SECRET = 512;
 
+// Readiness check gives up on database after this many milliseconds
+const READY_DB_TIMEOUT = 2000;
+
 /*****************************************************************************/
 
-// Set to 10 minutes for now, considering the lifetime of the map, this could
-// be a bit too long
+// Solution list is rebuilt at most once a minute, unless changed on this
+// instance, clients can keep it for a day
+const SOLLIST_TTL = 60000;
+const SOLLIST_MAX_AGE = 86400;
+
+// Heroku kills the process 30 seconds after asking it to stop, requests in
+// flight are given most of it, then the process is made to exit if anything
+// still holds it
+const CLOSE_DEADLINE = 25000;
+const CLOSE_EXIT_DEADLINE = 3000;
+
+// Flags changed by other instances take effect here within this time
+const FLAG_REFRESH_INTERVAL = 30000;
+
+// Set to 10 minutes for now, considering the lifetime of the buckets, this
+// could be a bit too long
 const CALL_VACUUM_INTERVAL = 600000;
 
-// 5 messages per 30 minutes
-const THROTTLE_TIMEOUT = 1800000;
-const THROTTLE_COUNT = 5;
+// Rate limits by name, each is capacity, refill period in milliseconds and
+// what it is counted by, see throttle engine
+const RATE_LIMITS = {
+    // 6 reports per 30 minutes, each URL once
+    report: [6, 1800000, "ip"],
+    report_url: [1, 1800000, "ipurl"],
+
+    ping: [60, 60000, "ip"],
+    debug: [10, 60000, "ip"],
+    lookup: [120, 60000, "ip"],
+
+    // Failed authentication attempts, then calls once authenticated
+    auth: [30, 60000, "ip"],
+    admin: [300, 60000, "auth"],
+};
 
 /*****************************************************************************/
 
-server.set_enabled(ALLOW_SERVER);
+// Kill switches are feature flags, see flags engine, those stored are read
+// again every so often
 
-if (!ALLOW_SERVER)
-    console.warn("Server started in maintenance mode");
+const maintenance = (on) => {
+    server.set_enabled(!on);
 
-/*****************************************************************************/
+    if (on)
+        log.warn("Server in maintenance mode");
+    else
+        log.info("Server out of maintenance mode");
+};
 
-const now = () => {
-    return Date.now();
+flags.watch((name, val) => {
+    log.info("Flag changed", { name: name, val: val });
+
+    if (name === "maintenance")
+        maintenance(val);
+});
+
+if (flags.get("maintenance"))
+    maintenance(true);
+
+const refresh_flags = () => {
+    flags.refresh().catch((err) => {
+        log.error("Flag refresh failed", { err: err });
+    });
 };
 
+refresh_flags();
+
+const flag_timer = setInterval(refresh_flags, FLAG_REFRESH_INTERVAL);
+flag_timer.unref();
+
+/*****************************************************************************/
+
 const time = () => {
     const d = new Date();
     return d.toUTCString();
@@ -116,60 +171,72 @@ if (PROD)
 
 /*****************************************************************************/
 
-// TODO: Move to Redis
+// Throttle store is "memory" or "postgres", the latter survives restarts and
+// is shared between instances, schema must be migrated before switching to it
 
-const CallThrottler = class {
-    constructor() {
-        this.stamp = 0;
-        this.tokens = new Set();
+const throttle_store = process.env.MY_THROTTLE_STORE || "memory";
 
-        this.reset();
-    }
+assert(throttle.stores.has(throttle_store));
 
-    reset(override = null) {
-        if (override === null)
-            override = now();
+const call_store = throttle.create(throttle_store);
 
-        this.stamp = override;
-        this.tokens.clear();
-    }
+// Limits can be overridden with JSON of the same shape as RATE_LIMITS
 
-    vacuum() {
-        const n = now();
+const rate_limits = Object.assign({}, RATE_LIMITS);
 
-        if (this.stamp + THROTTLE_TIMEOUT < n)
-            this.reset(n);
+// Mistakes stop the server from starting, with the entry at fault
+if (typeof process.env.MY_RATE_LIMITS === "string") {
+    let over;
+    try {
+        over = JSON.parse(process.env.MY_RATE_LIMITS);
+    } catch (err) {
+        throw new Error("MY_RATE_LIMITS not valid JSON: " + err.message);
     }
 
-    add(tok) {
-        this.vacuum();
+    if (typeof over !== "object" || over === null || Array.isArray(over))
+        throw new Error("MY_RATE_LIMITS must be an object");
 
-        if (this.tokens.size > THROTTLE_COUNT)
-            return false;
+    for (const name of Object.keys(over)) {
+        if (!RATE_LIMITS.hasOwnProperty(name))
+            throw new Error("MY_RATE_LIMITS entry " + name + " unknown");
 
-        if (this.tokens.has(tok))
-            return false;
-
-        this.tokens.add(tok);
-        return true;
+        const err = throttle.limit_check(over[name]);
+        if (err !== null)
+            throw new Error("MY_RATE_LIMITS entry " + name + ": " + err);
     }
 
-    disposed() {
-        return this.tokens.size === 0;
-    }
+    Object.assign(rate_limits, over);
+}
+
+const limiter = (name, msg) => {
+    assert(Array.isArray(rate_limits[name]));
+
+    const [cap, period, by] = rate_limits[name];
+    return new throttle.Limiter(call_store, name, cap, period, by, msg);
 };
 
-const call_map = new Map();
+const MSG_TOO_MANY_REPORTS = "You submitted too many reports, take a break!";
+
+const lim_report = limiter("report", MSG_TOO_MANY_REPORTS);
+const lim_report_url = limiter("report_url", MSG_TOO_MANY_REPORTS);
+
+const lim_ping = limiter("ping");
+const lim_debug = limiter("debug");
+const lim_lookup = limiter("lookup");
+
+const lim_auth = limiter("auth");
+const lim_admin = limiter("admin");
 
 const call_vacuum = () => {
-    for (const [key, val] of call_map) {
-        val.vacuum();
-        if (val.disposed())
-            call_map.delete(key);
-    }
+    call_store.vacuum().catch((err) => {
+        log.error("Vacuum failed", { err: err });
+    });
+
+    hack.lock_vacuum();
 };
 
-setInterval(call_vacuum, CALL_VACUUM_INTERVAL).unref();
+const vacuum_timer = setInterval(call_vacuum, CALL_VACUUM_INTERVAL);
+vacuum_timer.unref();
 
 /*****************************************************************************/
 
@@ -179,9 +246,9 @@ const handle_err = (e, err, code) => {
     if (err instanceof error.RequestError)
         code = err.code;
     else
-        console.log(err.stack);
+        e.log("error", "Request failed", { err: err });
 
-    if (ALLOW_DEBUG_ECHOS)
+    if (flags.get("debug_echos"))
         return void e.fail(code, err.message);
 
     const key = "ez" + code.toString();
@@ -191,31 +258,61 @@ const handle_err = (e, err, code) => {
         e.fail(code);
 };
 
+// Errors thrown by handlers end up here, once streaming has started there is
+// no status to send anymore
+
+server.use(async (e, next) => {
+    try {
+        await next();
+    } catch (err) {
+        if (!e.res.headersSent)
+            return void handle_err(e, err, 500);
+
+        if (!(err instanceof error.RequestError))
+            e.log("error", "Response cut", { err: err });
+
+        e.abort();
+    }
+});
+
+/*****************************************************************************/
+
+// Kill switches
+
+const debug_only = async (e, next) => {
+    if (!flags.get("debug_calls"))
+        return void e.ez403();
+
+    await next();
+};
+
+const reports_on = async (e, next) => {
+    if (!flags.get("reports"))
+        return void e.ez403();
+
+    await next();
+};
+
+const as_debug = server.group([debug_only, lim_debug]);
+
 /*****************************************************************************/
 
 // This can be used to wake up the Dyno
 
-server.bind("/noop", (e) => {
+server.route(["GET", "POST"], "/noop", (e) => {
     e.ez200();
-});
+}, [lim_ping]);
 
 server.alias("/noop", "/");
 
 /*****************************************************************************/
 
-server.bind("/echo", async (e) => {
-    if (!ALLOW_DEBUG_CALLS)
-        return void e.ez403();
-
-    if (e.method !== "POST")
-        return void e.ez405();
-
-    let p;
-    try {
-        p = await e.body(SIZE_LIM_ECHO_CALL);
-    } catch (err) {
-        return void handle_err(e, err, 400);
-    }
+as_debug.post("/echo", {
+    desc: "Echo headers and payload, only in debug mode.",
+    lim: SIZE_LIM_ECHO_CALL,
+    fields: {},
+}, async (e) => {
+    const p = await e.body();
 
     const payload = {
         headers: e.req.headers,
@@ -224,13 +321,12 @@ server.bind("/echo", async (e) => {
     e.ez200(payload, true);
 });
 
-server.bind("/info", (e) => {
-    if (!ALLOW_DEBUG_CALLS)
-        return void e.ez403();
-
+as_debug.route(["GET", "POST"], "/info", (e) => {
     const payload = {
         method: e.method,
         url: e.url,
+        path: e.path,
+        query: e.query,
 
         host: e.host,
         ip: e.ip,
@@ -246,6 +342,12 @@ server.bind("/info", (e) => {
     e.ez200(payload, true);
 });
 
+// Generated from schemas of routes
+server.get("/docs", (e) => {
+    e.write_head(200, { "Content-Type": "text/markdown; charset=utf-8" });
+    e.end(server.docs());
+}, [lim_debug]);
+
 /*****************************************************************************/
 
 const db_secret = process.env.MY_DB_SECRET;
@@ -258,152 +360,869 @@ if (PROD) {
     );
 }
 
-const db_auth = async (e) => {
+// Scopes of API keys, "admin" grants everything
+const scopes = [
+    "reports:read",
+    "reports:write",
+    "solutions:write",
+    "map:write",
+    "metrics:read",
+    "admin",
+];
+
+// The secret is the bootstrap key, it has every scope
+const ROOT_IDENTITY = "root";
+
+const re_valid_key_name = /^[a-z0-9_\-]{1,64}$/;
+
+const auth_identity = async (key) => {
+    if (hack.strcmp(key, db_secret)) {
+        return {
+            name: ROOT_IDENTITY,
+            scopes: ["admin"],
+        };
+    }
+
+    return await db.key_get(hack.key_hash(key));
+};
+
+// Bearer token of Authorization header is taken with any method, otherwise
+// the key is auth of payload, which only POST has
+
+const auth_key = async (e) => {
+    const header = e.req.headers["authorization"];
+    if (typeof header === "string" && header.startsWith("Bearer "))
+        return header.substring(7).trim();
+
     if (e.method !== "POST")
-        return void e.ez405();
+        return null;
+
+    const p = await e.body();
+    return typeof p.auth === "string" ? p.auth : null;
+};
+
+// Authentication middleware, marked with its scope for generated docs
+const auth = (scope) => {
+    assert(scopes.includes(scope));
+
+    const mw = async (e, next) => {
+        const locked = hack.auth_locked(e.ip);
+        if (locked > 0) {
+            return void e.ez429(
+                Math.ceil(locked / 1000),
+                "Too many failed attempts",
+            );
+        }
+
+        if (PROD) {
+            const key = await auth_key(e);
+            let id = null;
+
+            if (
+                key !== null &&
+                MIN_LEN_DB_SECRET <= key.length &&
+                key.length <= MAX_LEN_DB_SECRET
+            ) {
+                id = await auth_identity(key);
+            }
+
+            // Only failed attempts count toward the auth limit, calls once
+            // authenticated count toward the admin limit
+            if (id === null) {
+                hack.auth_fail(e.ip);
+
+                if (!await e.limit(lim_auth))
+                    return;
+
+                return void e.ez403();
+            }
+
+            hack.auth_ok(e.ip);
+
+            if (!id.scopes.includes(scope) && !id.scopes.includes("admin"))
+                return void e.ez403("Scope " + scope + " required");
+
+            e.auth = id.name;
+        }
+
+        if (!await e.limit(lim_admin))
+            return;
+
+        await next();
+    };
+    mw.scope = scope;
+
+    return mw;
+};
+
+const as_admin = server.group([auth("admin")]);
+const as_reports_read = server.group([auth("reports:read")]);
+const as_reports_write = server.group([auth("reports:write")]);
+const as_solutions_write = server.group([auth("solutions:write")]);
+const as_map_write = server.group([auth("map:write")]);
+const as_metrics_read = server.group([auth("metrics:read")]);
+
+// Failing to record is logged but does not fail the call, the change is
+// already made
+
+const audit = async (e, target, before, after) => {
+    const who = typeof e.auth === "string" ? e.auth : null;
 
-    let p;
     try {
-        p = await e.body(SIZE_LIM_DB_CALL);
+        await db.aud_add(e.path, who, e.ip, target, before, after);
     } catch (err) {
-        return void handle_err(e, err, 400);
+        e.log("error", "Audit failed", { err: err });
     }
+};
 
-    if (!PROD)
-        return p;
+/*****************************************************************************/
 
-    if (typeof p.auth !== "string")
-        return void e.ez403();
+as_admin.post("/unthrottle", {
+    desc: "Clear rate limits for calling IP.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    await call_store.clear(e.ip);
 
-    if (!hack.strcmp(p.auth, db_secret))
-        return void e.ez403();
+    await audit(e, e.ip, null, null);
 
-    return p;
-};
+    e.ez200();
+});
 
 /*****************************************************************************/
 
-server.bind("/unthrottle", async (e) => {
-    if (!await db_auth(e))
-        return;
+as_admin.post("/keyget", {
+    desc: "List API keys.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    const r = await db.key_list();
 
-    const entry = call_map.get(e.ip);
+    e.ez200({ val: r });
+});
 
-    if (entry) {
-        entry.stamp -= THROTTLE_TIMEOUT;
-        entry.vacuum();
-    }
+as_admin.post("/keyset", {
+    desc: "Create API key.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        name: {
+            type: "string",
+            desc: "Key name, up to 64 of a to z, 0 to 9, _ and -.",
+            pattern: re_valid_key_name,
+        },
+        scopes: {
+            type: "array",
+            desc: "Scopes.",
+            min: 1,
+            items: {
+                type: "string",
+                desc: "Scope.",
+                values: scopes,
+            },
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    if (p.name === ROOT_IDENTITY)
+        return void e.ez400("Key name reserved");
+
+    const key = hack.key_new();
+
+    await db.key_set(p.name, hack.key_hash(key), p.scopes);
+
+    await audit(e, p.name, null, { scopes: p.scopes });
+
+    e.ez200({ key: key });
+});
+
+as_admin.post("/keyrot", {
+    desc: "Rotate API key.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        name: {
+            type: "string",
+            desc: "Key name.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const key = hack.key_new();
+
+    await db.key_rot(p.name, hack.key_hash(key));
+
+    await audit(e, p.name, null, null);
+
+    e.ez200({ key: key });
+});
+
+as_admin.post("/keydel", {
+    desc: "Revoke API key.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        name: {
+            type: "string",
+            desc: "Key name.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    await db.key_del(p.name);
+
+    await audit(e, p.name, null, null);
 
     e.ez200();
 });
 
 /*****************************************************************************/
 
-server.bind("/dbinit", async (e) => {
-    if (!await db_auth(e))
-        return;
+as_admin.post("/lockget", {
+    desc: "List IPs with failed authentication.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    e.ez200({ val: hack.lock_list() });
+});
 
-    try {
-        await db.init();
-    } catch (err) {
-        return void handle_err(e, err, 500);
-    }
+as_admin.post("/lockdel", {
+    desc: "Clear lockouts.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        ip: {
+            type: "string",
+            desc: "IP to clear, all if left out.",
+            opt: true,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    // Clear all if IP is not given
+    const ip = typeof p.ip === "string" ? p.ip : null;
+
+    const before = hack.lock_list().filter((entry) => {
+        return ip === null || entry.ip === ip;
+    });
+
+    hack.lock_clear(ip);
+
+    await audit(e, ip, before, null);
 
     e.ez200();
 });
 
-server.bind("/dbgc", async (e) => {
-    if (!await db_auth(e))
-        return;
+/*****************************************************************************/
 
-    try {
-        await db.gc();
-    } catch (err) {
-        return void handle_err(e, err, 500);
+as_admin.post("/audget", {
+    desc: "Read audit log, newest first.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        next: {
+            type: "string",
+            desc: "Cursor from previous page.",
+            opt: true,
+        },
+        lim: {
+            type: "integer",
+            desc: "Page size, 1 to 500, defaults to 50.",
+            opt: true,
+            min: 1,
+            max: 500,
+        },
+        endpoint: {
+            type: "string",
+            desc: "Only entries of this endpoint.",
+            opt: true,
+        },
+        who: {
+            type: "string",
+            desc: "Only entries of this API key name.",
+            opt: true,
+        },
+        ip: {
+            type: "string",
+            desc: "Only entries of this IP.",
+            opt: true,
+        },
+        target: {
+            type: "string",
+            desc: "Only entries of this target.",
+            opt: true,
+        },
+        since: {
+            type: "integer",
+            desc: "Only those at or after this time, in milliseconds.",
+            opt: true,
+            min: 0,
+            max: MAX_TIME,
+        },
+        until: {
+            type: "integer",
+            desc: "Only those before this time, in milliseconds.",
+            opt: true,
+            min: 0,
+            max: MAX_TIME,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const opt = {};
+
+    for (const key of ["next", "endpoint", "who", "ip", "target", "lim"]) {
+        if (p[key] !== undefined)
+            opt[key] = p[key];
     }
 
+    // Time range is in milliseconds since epoch
+    for (const key of ["since", "until"]) {
+        if (p[key] !== undefined)
+            opt[key] = new Date(p[key]);
+    }
+
+    const r = await db.aud_get(opt);
+
+    e.ez200(r);
+});
+
+/*****************************************************************************/
+
+// Migrate to latest schema
+as_admin.post("/dbinit", {
+    desc: "Migrate database to latest schema.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    const r = await db.migrate();
+
+    await audit(e, null, { ver: r.from }, { ver: r.to });
+
+    e.ez200(r);
+});
+
+as_admin.post("/dbmig", {
+    desc: "Migrate database to a schema version.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        ver: {
+            type: "integer",
+            desc: "Schema version, 0 to roll back everything.",
+            min: 0,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const r = await db.migrate(p.ver);
+
+    await audit(e, null, { ver: r.from }, { ver: r.to });
+
+    e.ez200(r);
+});
+
+as_admin.post("/dbstat", {
+    desc: "Read database schema status.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    const r = await db.mig_status();
+
+    e.ez200(r);
+});
+
+as_admin.post("/dbgc", {
+    desc: "Run database garbage collection.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    await db.gc();
+
+    await audit(e, null, null, null);
+
     e.ez200();
 });
 
 /*****************************************************************************/
 
-server.bind("/mapget", async (e) => {
-    let p;
+as_admin.post("/cacheget", {
+    desc: "Read statistics of lookup cache.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    e.ez200(db.cache_stats());
+});
+
+// Only clears the cache of this instance
+as_admin.post("/cachedel", {
+    desc: "Clear lookup cache.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    db.cache_clear();
+
+    await audit(e, null, null, null);
+
+    e.ez200();
+});
+
+/*****************************************************************************/
+
+// These work in maintenance mode, otherwise it could not be turned off
+
+as_admin.post("/flagget", {
+    desc: "List feature flags.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    e.ez200({ flags: flags.list() });
+});
+
+server.keep_enabled("/flagget");
+
+as_admin.post("/flagset", {
+    desc: "Set feature flag, for all instances.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        name: {
+            type: "string",
+            desc: "Flag name.",
+        },
+        val: {
+            type: "boolean",
+            desc: "Flag value, null to set back to default.",
+            nullable: true,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const before = await flags.set(p.name, p.val);
+
+    await audit(e, p.name, { val: before }, { val: p.val });
+
+    const val = flags.get(p.name);
+
+    // Environment variable still wins
+    if (flags.overridden(p.name))
+        e.ez200({ val: val, message: "Overridden by environment" });
+    else
+        e.ez200({ val: val });
+});
+
+server.keep_enabled("/flagset");
+
+/*****************************************************************************/
+
+// Metrics are of this instance only, for Prometheus to scrape with a bearer
+// token
+as_metrics_read.get("/metrics", (e) => {
+    e.write_head(200, { "Content-Type": metrics.CONTENT_TYPE });
+    e.end(metrics.render());
+});
+
+server.keep_enabled("/metrics");
+
+/*****************************************************************************/
+
+// Entries that are not public are as good as absent here, resolves to null
+// for those
+const map_get_pub = async (key) => {
+    let r;
     try {
-        p = await e.body(SIZE_LIM_DB_CALL);
+        r = await db.map_get(key);
     } catch (err) {
-        return void handle_err(e, err, 400);
+        if (err instanceof error.RequestError && err.code === 404)
+            return null;
+
+        throw err;
+    }
+
+    return r.pub ? r : null;
+};
+
+server.post("/mapget", {
+    desc: "Read public entries of map.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        key: {
+            type: "string",
+            desc: "Entry key, either this or keys is required.",
+            opt: true,
+        },
+        keys: {
+            type: "array",
+            desc: "Entry keys.",
+            opt: true,
+            min: 1,
+            max: MAX_MAP_KEYS,
+            items: {
+                type: "string",
+                desc: "Entry key.",
+            },
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    if (p.keys !== undefined) {
+        const val = {};
+        const missing = [];
+
+        for (const key of p.keys) {
+            const r = await map_get_pub(key);
+            if (r === null)
+                missing.push(key);
+            else
+                val[key] = r.val;
+        }
+
+        return void e.ez200({ val: val, missing: missing });
     }
 
     if (typeof p.key !== "string")
         return void e.ez400();
 
-    let r;
-    try {
-        r = await db.map_get(p.key);
-    } catch (err) {
-        return void handle_err(e, err, 400);
-    }
+    const r = await map_get_pub(p.key);
+
+    if (r === null)
+        return void e.ez404("Entry not found");
+
+    e.ez200({ val: r.val });
+}, [lim_lookup]);
+
+as_map_write.post("/mapset", {
+    desc: "Write entry of map.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        key: {
+            type: "string",
+            desc: "Entry key.",
+        },
+        val: {
+            type: "any",
+            desc: "Entry value.",
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    // Validation of value is done by database engine
+    const r = await db.map_set(p.key, p.val);
+
+    await audit(e, p.key, { val: r }, { val: p.val });
+
+    e.ez200();
+});
+
+// Current values are included, entries that are not public can only be read
+// here
+as_map_write.post("/mapdefget", {
+    desc: "Read definitions and current values of entries of map.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {},
+}, async (e) => {
+    const r = await db.map_def_list();
+
+    for (const ent of r)
+        ent.val = (await db.map_get(ent.key)).val;
 
     e.ez200({ val: r });
 });
 
-server.bind("/mapset", async (e) => {
-    const p = await db_auth(e);
-    if (!p)
-        return;
+as_admin.post("/mapdefset", {
+    desc: "Create or update definition of entry of map.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        key: {
+            type: "string",
+            desc: "Entry key.",
+        },
+        def: {
+            type: "object",
+            desc: "Definition.",
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
 
-    if (typeof p.key !== "string" || typeof p.val !== "string")
-        return void e.ez400();
+    // Validation of definition is done by database engine
+    const r = await db.map_def_set(p.key, p.def);
 
-    try {
-        await db.map_set(p.key, p.val);
-    } catch (err) {
-        return void handle_err(e, err, 400);
-    }
+    await audit(e, p.key, r === null ? null : { def: r }, { def: p.def });
 
     e.ez200();
 });
 
+as_admin.post("/mapdefdel", {
+    desc: "Delete definition of entry of map and its value.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        key: {
+            type: "string",
+            desc: "Entry key.",
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const r = await db.map_def_del(p.key);
+
+    if (r !== null)
+        await audit(e, p.key, r, null);
+
+    e.ez200();
+});
+
+/*****************************************************************************/
+
+// A fix does not help users who already have it, their reports are about
+// something else
+const sol_applies = (sol, ver) => {
+    if (sol.kind !== "fixed" || sol.ver === null)
+        return true;
+
+    if (!version.valid(ver))
+        return true;
+
+    return version.cmp(ver, sol.ver) < 0;
+};
+
+// Host extensions by name, with prefix of their version entries in map
+const ver_apps = new Map([
+    ["nano adblocker", "na"],
+    ["na", "na"],
+    ["nano defender", "nd"],
+    ["nd", "nd"],
+]);
+
+const MSG_VER_OUTDATED = "A newer version is available, please update.";
+const MSG_VER_UNSUPPORTED = "This version is not supported, please update.";
+
+// Resolves to status, which is "current", "outdated" or "unsupported", and
+// the versions compared against, or null if the extension is not known,
+// version must be valid
+
+const ver_check = async (app, ver) => {
+    assert(typeof app === "string" && version.valid(ver));
+
+    const prefix = ver_apps.get(app.toLowerCase().trim());
+    if (prefix === undefined)
+        return null;
+
+    const last = await db.map_get(prefix + "lastver");
+    const min = await db.map_get(prefix + "minver");
+
+    let status = "current";
+    if (version.cmp(ver, min.val) < 0)
+        status = "unsupported";
+    else if (version.cmp(ver, last.val) < 0)
+        status = "outdated";
+
+    return {
+        status: status,
+        last: last.val,
+        min: min.val,
+    };
+};
+
+server.post("/vercheck", {
+    desc: "Check whether a version of a host extension is up to date.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        app: {
+            type: "string",
+            desc: "Host extension name.",
+        },
+        ver: {
+            type: "string",
+            desc: "Host extension version.",
+            pattern: version.re_valid,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const r = await ver_check(p.app, p.ver);
+
+    if (r === null)
+        return void e.ez404("Extension not known");
+
+    if (r.status === "unsupported")
+        r.message = MSG_VER_UNSUPPORTED;
+    else if (r.status === "outdated")
+        r.message = MSG_VER_OUTDATED;
+
+    e.ez200(r);
+}, [lim_lookup]);
+
 /*****************************************************************************/
 
 // Domains should be all lower case
 // TODO: What about raw IPv6 address?
 const re_extract_domain = /^https?:\/\/([a-z0-9_\-.]+)(?::|\/|\?|#|$)/;
 
-server.bind("/repget", async (e) => {
-    if (!db_auth(e))
-        return;
+as_reports_read.post("/repget", {
+    desc: "Read reports, oldest first.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        next: {
+            type: "string",
+            desc: "Cursor from previous page.",
+            opt: true,
+        },
+        lim: {
+            type: "integer",
+            desc: "Page size, 1 to 100, defaults to 20.",
+            opt: true,
+            min: 1,
+            max: 100,
+        },
+        app: {
+            type: "string",
+            desc: "Only reports of this host extension.",
+            opt: true,
+        },
+        ver: {
+            type: "string",
+            desc: "Only reports of this host extension version.",
+            opt: true,
+        },
+        cat: {
+            type: "string",
+            desc: "Only reports of this category.",
+            opt: true,
+        },
+        dom: {
+            type: "string",
+            desc: "Only reports of this domain.",
+            opt: true,
+        },
+        status: {
+            type: "string",
+            desc: "Only reports of this triage status.",
+            opt: true,
+        },
+        cluster: {
+            type: "string",
+            desc: "Only reports of this cluster.",
+            opt: true,
+        },
+        del: {
+            type: "boolean",
+            desc: "Set to true to read deleted reports.",
+            opt: true,
+        },
+        since: {
+            type: "integer",
+            desc: "Only those at or after this time, in milliseconds.",
+            opt: true,
+            min: 0,
+            max: MAX_TIME,
+        },
+        until: {
+            type: "integer",
+            desc: "Only those before this time, in milliseconds.",
+            opt: true,
+            min: 0,
+            max: MAX_TIME,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const opt = {};
+
+    const fields = [
+        "next",
+        "lim",
+        "app",
+        "ver",
+        "cat",
+        "dom",
+        "status",
+        "cluster",
+    ];
+
+    for (const key of fields) {
+        if (p[key] !== undefined)
+            opt[key] = p[key];
+    }
 
-    let r;
-    try {
-        r = await db.rep_get();
-    } catch (err) {
-        return void handle_err(e, err, 500);
+    opt.del = p.del === true;
+
+    // Time range is in milliseconds since epoch
+    for (const key of ["since", "until"]) {
+        if (p[key] !== undefined)
+            opt[key] = new Date(p[key]);
     }
 
-    e.ez200({ val: r });
+    const r = await db.rep_get(opt);
+
+    e.ez200(r);
 });
 
-server.bind("/repset", async (e) => {
+// Each report is counted once, those with invalid URL are counted as such
+// even if they are saved
+const m_reports = metrics.counter(
+    "reports_total",
+    "Reports by outcome.",
+    ["outcome"],
+);
+
+server.post("/repset", {
+    desc: "Send a report.",
+    fields: {
+        dry: {
+            type: "any",
+            desc: "Set to true for dry run.",
+            opt: true,
+        },
+        app: {
+            type: "string",
+            desc: "Host extension name.",
+        },
+        ver: {
+            type: "string",
+            desc: "Host extension version.",
+        },
+        cat: {
+            type: "string",
+            desc: "Report category.",
+        },
+        url: {
+            type: "string",
+            desc: "Report URL.",
+        },
+        msg: {
+            type: "string",
+            desc: "Report message.",
+        },
+        loc: {
+            type: "string",
+            desc: "Locale of solution message.",
+            opt: true,
+        },
+    },
+}, async (e) => {
 
     /*************************************************************************/
 
-    if (!ALLOW_REPORTS)
-        return void e.ez403();
-
     // This should be enough to block cross site request forgery
-    if (e.origin !== "Unknown" && !e.origin.startsWith("chrome-extension://"))
+    if (
+        e.origin !== "Unknown" &&
+        !e.origin.startsWith("chrome-extension://")
+    ) {
+        m_reports.inc({ outcome: "forbidden" });
         return void e.ez403();
+    }
 
     /*************************************************************************/
 
-    let p;
-    try {
-        p = await e.body();
-    } catch (err) {
-        return void handle_err(e, err, 400);
-    }
+    const p = await e.body();
 
     /*************************************************************************/
 
@@ -416,47 +1235,55 @@ server.bind("/repset", async (e) => {
 
     payload.dry = p.dry === true;
 
-    if (typeof p.app !== "string")
-        return void e.ez400();
     payload.app = p.app;
-
-    if (typeof p.ver !== "string")
-        return void e.ez400();
     payload.ver = p.ver;
-
-    if (typeof p.cat !== "string")
-        return void e.ez400();
     payload.cat = p.cat;
-
-    if (typeof p.url !== "string")
-        return void e.ez400();
     payload.url = p.url;
-
-    if (typeof p.msg !== "string")
-        return void e.ez400();
     payload.msg = p.msg;
 
+    // Locale of solution message, if any
+    const loc = typeof p.loc === "string" ? p.loc.toLowerCase() : e.lang;
+
     // payload.dom is set later
 
     /*************************************************************************/
 
-    const entry = call_map.get(e.ip);
+    // Counted by payload URL, so cannot be checked before the handler,
+    // duplicates do not use up the quota of the reporter
 
-    if (entry === undefined) {
+    if (!await e.limit(lim_report_url, payload)) {
+        try {
+            await lim_report.give(e);
+        } catch (err) {
+            e.log("error", "Limiter failed", { err: err });
+        }
 
-        const t = new CallThrottler();
-        t.add(payload.url);
-        call_map.set(e.ip, t);
+        m_reports.inc({ outcome: "throttled" });
+        return;
+    }
 
-    } else {
+    /*************************************************************************/
 
-        if (!entry.add(payload.url)) {
-            return void e.ez200({
-                success: false,
-                message: "You submitted too many reports, take a break!",
-            });
+    // Reports from versions below minimum are rejected or flagged by policy,
+    // unknown extensions and versions are let through
+
+    if (version.valid(payload.ver)) {
+        const policy = await db.map_get("repverpolicy");
+        const r = await ver_check(payload.app, payload.ver);
+
+        if (r !== null && r.status === "unsupported") {
+            if (policy.val === "reject") {
+                m_reports.inc({ outcome: "outdated" });
+                return void e.ez200({
+                    success: false,
+                    message: MSG_VER_UNSUPPORTED,
+                    ver: r,
+                });
+            }
+
+            if (policy.val === "flag")
+                payload.unsupported = true;
         }
-
     }
 
     /*************************************************************************/
@@ -465,9 +1292,10 @@ server.bind("/repset", async (e) => {
 
     if (dom === null) {
 
-        console.warn("Invalid URL: " + payload.url);
+        e.log("warn", "Invalid URL", { url: payload.url });
+        m_reports.inc({ outcome: "invalid_url" });
 
-        if (!ALLOW_INVALID_URLS) {
+        if (!flags.get("invalid_urls")) {
             return void e.ez200({
                 success: false,
                 message: "Invalid URL.",
@@ -478,17 +1306,14 @@ server.bind("/repset", async (e) => {
 
         dom = dom[1];
 
-        let r;
-        try {
-            r = await db.sol_get(dom);
-        } catch (err) {
-            return void handle_err(e, err, 500);
-        }
+        const r = await db.sol_get(dom);
 
-        if (r !== null) {
-            return void ez200({
+        if (r !== null && sol_applies(r.sol, payload.ver)) {
+            m_reports.inc({ outcome: "solved" });
+            return void e.ez200({
                 success: false,
-                message: r,
+                message: db.sol_message(r.sol, loc),
+                sol: r.sol,
             });
         }
 
@@ -500,119 +1325,805 @@ server.bind("/repset", async (e) => {
 
     if (payload.dry) {
 
-        console.log("Dry run, report not saved to database");
-        if (ALLOW_DRY_RUN_LOGS)
-            console.log(payload);
+        if (dom !== null)
+            m_reports.inc({ outcome: "dry" });
+
+        if (flags.get("dry_run_logs"))
+            e.log("info", "Dry run, report not saved", { payload: payload });
+        else
+            e.log("info", "Dry run, report not saved");
 
-        if (ALLOW_DEBUG_ECHOS)
+        if (flags.get("debug_echos"))
             e.ez200({ payload: payload });
         else
             e.ez200();
 
     } else {
 
-        try {
-            await db.rep_set(JSON.stringify(payload));
-        } catch (err) {
-            return void handle_err(e, err, 500);
-        }
+        await db.rep_set(payload);
 
-        e.ez200();
+        if (dom !== null)
+            m_reports.inc({ outcome: "accepted" });
+
+        if (payload.unsupported)
+            e.ez200({ message: MSG_VER_UNSUPPORTED });
+        else
+            e.ez200();
 
     }
 
     /*************************************************************************/
 
+}, [reports_on, lim_report]);
+
+as_reports_write.post("/repstat", {
+    desc: "Update triage fields of report.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        id: {
+            type: "string",
+            desc: "Serial number of report.",
+            min: 1,
+        },
+        status: {
+            type: "string",
+            desc: "Triage status.",
+            opt: true,
+        },
+        assignee: {
+            type: "string",
+            desc: "Assignee, null to clear.",
+            opt: true,
+            nullable: true,
+        },
+        note: {
+            type: "string",
+            desc: "Note, null to clear.",
+            opt: true,
+            nullable: true,
+        },
+        sol: {
+            type: "string",
+            desc: "Domain pattern of solution, null to clear.",
+            opt: true,
+            nullable: true,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const upd = {};
+
+    // Set to null to clear
+    for (const key of ["status", "assignee", "note", "sol"]) {
+        if (p[key] !== undefined)
+            upd[key] = p[key];
+    }
+
+    const r = await db.rep_stat(p.id, upd);
+
+    await audit(e, p.id, r.before, r.after);
+
+    e.ez200();
 });
 
-server.bind("/repdel", async (e) => {
-    const p = await db_auth(e);
-    if (!p)
-        return;
+as_reports_write.post("/repdel", {
+    desc: "Delete report.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        id: {
+            type: "string",
+            desc: "Serial number of report.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
 
-    if (typeof p.id !== "string" || p.id.length === 0)
-        return void e.ez400();
+    const r = await db.rep_del(p.id);
 
-    try {
-        await db.rep_del(p.id);
-    } catch (err) {
-        return void handle_err(e, err, 500);
-    }
+    if (r)
+        await audit(e, p.id, { del: false }, { del: true });
+
+    e.ez200();
+});
+
+as_reports_write.post("/repundel", {
+    desc: "Restore deleted report.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        id: {
+            type: "string",
+            desc: "Serial number of report.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const r = await db.rep_undel(p.id);
+
+    if (r)
+        await audit(e, p.id, { del: true }, { del: false });
 
     e.ez200();
 });
 
 /*****************************************************************************/
 
-server.bind("/solget", async (e) => {
-    let p;
-    try {
-        p = await e.body();
-    } catch (err) {
-        return void handle_err(e, err, 400);
-    }
+as_reports_read.post("/clsget", {
+    desc: "Read clusters of reports, most reported first.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        lim: {
+            type: "integer",
+            desc: "Page size, 1 to 100, defaults to 20.",
+            opt: true,
+            min: 1,
+            max: 100,
+        },
+        off: {
+            type: "integer",
+            desc: "Number of clusters to skip.",
+            opt: true,
+            min: 0,
+        },
+        since: {
+            type: "integer",
+            desc: "Only clusters seen at or after this time, in milliseconds.",
+            opt: true,
+            min: 0,
+            max: MAX_TIME,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
 
-    if (typeof p.dom !== "string" || p.dom.length === 0)
-        return void e.ez400();
+    const opt = {};
 
-    let r;
-    try {
-        r = await db.sol_get(p.dom);
-    } catch (err) {
-        return void handle_err(e, err, 400);
+    for (const key of ["lim", "off"]) {
+        if (p[key] !== undefined)
+            opt[key] = p[key];
     }
 
+    if (p.since !== undefined)
+        opt.since = new Date(p.since);
+
+    const r = await db.cls_get(opt);
+
     e.ez200({ val: r });
 });
 
-server.bind("/solset", async (e) => {
-    const p = await db_auth(e);
-    if (!p)
-        return;
+/*****************************************************************************/
 
-    if (typeof p.dom !== "string" || typeof p.sol !== "string")
-        return void e.ez400();
-    if (p.dom.length === 0 || p.sol.length === 0)
-        return void e.ez400();
+// Public list of solutions for clients to look up locally, either in full or
+// in shards by first character of the second to last label, patterns with
+// one label can match any domain so they are in every shard
+//
+// For "a.example.com", all patterns that can match it are in shard "e"
 
-    try {
-        await db.sol_set(p.dom, p.sol);
-    } catch (err) {
-        return void handle_err(e, err, 400);
+const SOLLIST_SHARDS = "abcdefghijklmnopqrstuvwxyz0123456789_-";
+
+const sollist_shard = (dom) => {
+    if (dom.startsWith("*."))
+        dom = dom.substring(2);
+
+    const labels = dom.split(".");
+    if (labels.length < 2)
+        return null;
+
+    return labels[labels.length - 2].charAt(0);
+};
+
+// Each is { data, tag } by shard, "" for the full list
+let sollist = null;
+let sollist_at = 0;
+let sollist_gen = 0;
+let sollist_building = null;
+
+const sollist_reset = () => {
+    sollist = null;
+    sollist_gen++;
+};
+
+const sollist_build = async () => {
+    const gen = sollist_gen;
+
+    const all = [];
+    const now = Date.now();
+
+    let r = await db.sol_list();
+    while (true) {
+        for (const ent of r.val) {
+            if (ent.sol.exp === null || ent.sol.exp > now)
+                all.push(ent);
+        }
+
+        if (r.next === null)
+            break;
+
+        r = await db.sol_list(r.next);
+    }
+
+    const groups = new Map();
+    groups.set("", all);
+    for (const c of SOLLIST_SHARDS)
+        groups.set(c, []);
+
+    for (const ent of all) {
+        const c = sollist_shard(ent.dom);
+
+        for (const [key, group] of groups) {
+            if (key !== "" && (c === null || c === key))
+                group.push(ent);
+        }
+    }
+
+    const out = new Map();
+    for (const [key, group] of groups) {
+        const data = JSON.stringify({ success: true, val: group });
+        out.set(key, { data: data, tag: server.etag(data) });
+    }
+
+    // Changed while building, this is already stale
+    if (gen === sollist_gen) {
+        sollist = out;
+        sollist_at = Date.now();
     }
 
+    return out;
+};
+
+// Concurrent calls share one build, unless changed since it started
+const sollist_get = async () => {
+    if (sollist !== null && Date.now() - sollist_at < SOLLIST_TTL)
+        return sollist;
+
+    if (sollist_building === null || sollist_building.gen !== sollist_gen) {
+        const building = {
+            gen: sollist_gen,
+            promise: sollist_build(),
+        };
+        sollist_building = building;
+
+        const done = () => {
+            if (sollist_building === building)
+                sollist_building = null;
+        };
+        building.promise.then(done, done);
+    }
+
+    return await sollist_building.promise;
+};
+
+const sollist_send = async (e, shard) => {
+    const r = await sollist_get();
+
+    const ent = r.get(shard);
+    e.ez200_cached(ent.data, ent.tag, SOLLIST_MAX_AGE);
+};
+
+server.get("/sollist", async (e) => {
+    await sollist_send(e, "");
+}, [lim_lookup]);
+
+server.get("/sollist/:shard", async (e) => {
+    const shard = e.params.shard;
+    if (shard.length !== 1 || !SOLLIST_SHARDS.includes(shard))
+        return void e.ez404();
+
+    await sollist_send(e, shard);
+}, [lim_lookup]);
+
+server.post("/solget", {
+    desc: "Read solution of domain.",
+    fields: {
+        dom: {
+            type: "string",
+            desc: "Domain.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const r = await db.sol_get(p.dom);
+
+    if (r === null)
+        e.ez200({ val: null, match: null });
+    else
+        e.ez200({ val: r.sol, match: r.dom });
+}, [lim_lookup]);
+
+// Same as "/solget", but absent solutions are 404, and the message is
+// localized
+server.get("/solutions/:dom", async (e) => {
+    const r = await db.sol_get(e.params.dom);
+
+    if (r === null)
+        return void e.ez404("Solution not found");
+
+    const loc = typeof e.query.loc === "string" ?
+        e.query.loc.toLowerCase() : e.lang;
+
+    e.ez200({
+        val: r.sol,
+        match: r.dom,
+        message: db.sol_message(r.sol, loc),
+    });
+}, [lim_lookup]);
+
+as_solutions_write.post("/solset", {
+    desc: "Create or update solution.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        dom: {
+            type: "string",
+            desc: "Domain pattern.",
+            min: 1,
+        },
+        sol: {
+            type: "object",
+            desc: "Solution.",
+        },
+        sub: {
+            type: "boolean",
+            desc: "Set to true to also cover subdomains.",
+            opt: true,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    // Validation of solution record is done by database engine
+    const r = await db.sol_set(p.dom, p.sol, p.sub === true);
+
+    sollist_reset();
+    await audit(e, p.dom, r.before, r.after);
+
     e.ez200();
 });
 
-server.bind("/soldel", async (e) => {
-    const p = await db_auth(e);
-    if (!p)
-        return;
+as_solutions_write.post("/soldel", {
+    desc: "Delete solution.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        dom: {
+            type: "string",
+            desc: "Domain pattern.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
 
-    if (typeof p.dom !== "string" || p.dom.length === 0)
-        return void e.ez400();
+    const r = await db.sol_del(p.dom);
 
-    try {
-        await db.sol_del(p.dom);
-    } catch (err) {
-        return void handle_err(e, err, 500);
+    if (r !== null) {
+        sollist_reset();
+        await audit(e, p.dom, r, null);
     }
 
     e.ez200();
 });
 
+// Entries are streamed page by page, one per line in "ndjson" format, which
+// is also what "/solimp" takes once parsed, or as one payload in "json"
+// format
+
+const exp_formats = {
+    ndjson: "application/x-ndjson; charset=utf-8",
+    json: "application/json; charset=utf-8",
+};
+
+as_solutions_write.post("/solexp", {
+    desc: "Export all solutions.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        fmt: {
+            type: "string",
+            desc: "Format, ndjson or json.",
+            opt: true,
+            values: ["ndjson", "json"],
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const fmt = p.fmt === undefined ? "ndjson" : p.fmt;
+
+    // First page is read before headers are sent, so the common failures
+    // still get a proper response, later failures cut the connection
+    let r = await db.sol_list();
+
+    e.write_head(200, { "Content-Type": exp_formats[fmt] });
+
+    if (fmt === "json")
+        await e.write('{"success":true,"val":[');
+
+    let first = true;
+
+    while (true) {
+        const lines = r.val.map((ent) => JSON.stringify(ent));
+
+        if (fmt === "json") {
+            if (lines.length > 0) {
+                await e.write((first ? "" : ",") + lines.join(","));
+                first = false;
+            }
+        } else {
+            if (lines.length > 0)
+                await e.write(lines.join("\n") + "\n");
+        }
+
+        if (r.next === null)
+            break;
+
+        r = await db.sol_list(r.next);
+    }
+
+    if (fmt === "json")
+        e.end("]}");
+    else
+        e.end();
+});
+
+// Import is all or nothing, nothing is written if any row is not valid, in
+// "replace" mode, entries not in the batch are deleted
+
+const imp_modes = ["merge", "replace"];
+
+as_solutions_write.post("/solimp", {
+    desc: "Import solutions in one transaction.",
+    lim: SIZE_LIM_IMPORT_CALL,
+    fields: {
+        val: {
+            type: "array",
+            desc: "Entries.",
+        },
+        mode: {
+            type: "string",
+            desc: "Mode, merge or replace.",
+            opt: true,
+            values: imp_modes,
+        },
+        dry: {
+            type: "boolean",
+            desc: "Set to true to work out changes without making them.",
+            opt: true,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const mode = p.mode === undefined ? "merge" : p.mode;
+
+    const r = await db.sol_imp(p.val, mode === "replace", p.dry === true);
+
+    if (r.applied && r.created + r.updated + r.deleted.length > 0) {
+        sollist_reset();
+        await audit(e, null, null, {
+            mode: mode,
+            created: r.created,
+            updated: r.updated,
+            deleted: r.deleted.length,
+        });
+    }
+
+    e.ez200(r);
+});
+
 /*****************************************************************************/
 
+// Nested objects are flattened into dotted paths, so a diff of solution
+// records points at the changed field
+const rev_flatten = (val, path, out) => {
+    if (typeof val === "object" && val !== null && !Array.isArray(val)) {
+        for (const key of Object.keys(val))
+            rev_flatten(val[key], path + "." + key, out);
+    } else {
+        out[path] = val;
+    }
+
+    return out;
+};
+
+const rev_diff = (a, b) => {
+    const fa = {};
+    const fb = {};
+    for (const key of Object.keys(a))
+        rev_flatten(a[key], key, fa);
+    for (const key of Object.keys(b))
+        rev_flatten(b[key], key, fb);
+
+    const paths = new Set(Object.keys(fa).concat(Object.keys(fb)));
+    const out = [];
+
+    for (const path of Array.from(paths).sort()) {
+        const va = fa[path] === undefined ? null : fa[path];
+        const vb = fb[path] === undefined ? null : fb[path];
+
+        if (JSON.stringify(va) !== JSON.stringify(vb))
+            out.push({ path: path, a: va, b: vb });
+    }
+
+    return out;
+};
+
+const rev_opt = (p) => {
+    const opt = {};
+
+    for (const key of ["next", "lim"]) {
+        if (p[key] !== undefined)
+            opt[key] = p[key];
+    }
+
+    return opt;
+};
+
+as_solutions_write.post("/solrevs", {
+    desc: "Read revisions of solution, newest first.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        dom: {
+            type: "string",
+            desc: "Domain pattern.",
+            min: 1,
+        },
+        next: {
+            type: "string",
+            desc: "Cursor from previous page.",
+            opt: true,
+        },
+        lim: {
+            type: "integer",
+            desc: "Page size, 1 to 100, defaults to 20.",
+            opt: true,
+            min: 1,
+            max: 100,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const opt = rev_opt(p);
+
+    const r = await db.sol_revs(p.dom, opt);
+
+    e.ez200(r);
+});
+
+as_solutions_write.post("/soldiff", {
+    desc: "Compare two revisions of the same solution.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        a: {
+            type: "string",
+            desc: "Serial number of first revision.",
+        },
+        b: {
+            type: "string",
+            desc: "Serial number of second revision.",
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const a = await db.sol_rev(p.a);
+    const b = await db.sol_rev(p.b);
+
+    if (a.dom !== b.dom)
+        return void e.ez400("Revisions are of different domains");
+
+    e.ez200({
+        dom: a.dom,
+        a: a,
+        b: b,
+        diff: rev_diff(
+            { sol: a.sol, sub: a.sub },
+            { sol: b.sol, sub: b.sub },
+        ),
+    });
+});
+
+// Restoring makes a new revision, history is never rewritten
+as_solutions_write.post("/solrest", {
+    desc: "Restore solution to an earlier revision.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        id: {
+            type: "string",
+            desc: "Serial number of revision.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const rev = await db.sol_rev(p.id);
+
+    let before, after;
+    if (rev.sol === null) {
+        before = await db.sol_del(rev.dom);
+        after = null;
+    } else {
+        const r = await db.sol_set(rev.dom, rev.sol, rev.sub);
+        before = r.before;
+        after = r.after;
+    }
+
+    if (before !== null || after !== null) {
+        sollist_reset();
+        await audit(e, rev.dom, before, after);
+    }
+
+    e.ez200();
+});
+
+as_map_write.post("/maprevs", {
+    desc: "Read revisions of entry of map, newest first.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        key: {
+            type: "string",
+            desc: "Entry key.",
+        },
+        next: {
+            type: "string",
+            desc: "Cursor from previous page.",
+            opt: true,
+        },
+        lim: {
+            type: "integer",
+            desc: "Page size, 1 to 100, defaults to 20.",
+            opt: true,
+            min: 1,
+            max: 100,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const opt = rev_opt(p);
+
+    const r = await db.map_revs(p.key, opt);
+
+    e.ez200(r);
+});
+
+as_map_write.post("/mapdiff", {
+    desc: "Compare two revisions of the same entry of map.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        a: {
+            type: "string",
+            desc: "Serial number of first revision.",
+        },
+        b: {
+            type: "string",
+            desc: "Serial number of second revision.",
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const a = await db.map_rev(p.a);
+    const b = await db.map_rev(p.b);
+
+    if (a.key !== b.key)
+        return void e.ez400("Revisions are of different keys");
+
+    e.ez200({
+        key: a.key,
+        a: a,
+        b: b,
+        diff: rev_diff({ val: a.val }, { val: b.val }),
+    });
+});
+
+as_map_write.post("/maprest", {
+    desc: "Restore entry of map to an earlier revision.",
+    lim: SIZE_LIM_DB_CALL,
+    fields: {
+        id: {
+            type: "string",
+            desc: "Serial number of revision.",
+            min: 1,
+        },
+    },
+}, async (e) => {
+    const p = await e.body();
+
+    const rev = await db.map_rev(p.id);
+
+    const r = await db.map_set(rev.key, rev.val);
+
+    await audit(e, rev.key, { val: r }, { val: rev.val });
+
+    e.ez200();
+});
+
+/*****************************************************************************/
+
+// Liveness only tells that the process is up, readiness also that database
+// is reachable and migrated, and that the server is not closing
+
 let closing = false;
 
+server.get("/live", (e) => {
+    e.ez200();
+}, [lim_ping]);
+
+server.keep_enabled("/live");
+
+server.get("/ready", async (e) => {
+    const payload = {
+        closing: closing,
+        maintenance: flags.get("maintenance"),
+        started: started,
+        uptime: Math.floor(process.uptime()),
+        pool: db.pool_stats(),
+        db: null,
+    };
+
+    let ready = !closing && !payload.maintenance;
+
+    try {
+        payload.db = await db.ping(READY_DB_TIMEOUT);
+
+        if (payload.db.ver !== payload.db.latest)
+            ready = false;
+    } catch (err) {
+        e.log("warn", "Readiness check failed", { err: err });
+
+        payload.db = { message: err.message };
+        ready = false;
+    }
+
+    if (ready)
+        e.ez200(payload);
+    else
+        e.fail(503, "Not ready", payload);
+}, [lim_ping]);
+
+// Load balancers expect 503 in maintenance mode, not 403
+server.keep_enabled("/ready");
+
+/*****************************************************************************/
+
 const close = async () => {
     if (closing)
         return;
 
     closing = true;
 
-    await server.close();
-    await db.close();
+    log.info("Closing");
+
+    clearInterval(vacuum_timer);
+    clearInterval(flag_timer);
+
+    try {
+        await server.close(CLOSE_DEADLINE);
+    } catch (err) {
+        log.error("Close failed", { err: err });
+        process.exitCode = 1;
+    }
+
+    // Set before closing the pool, which waits for clients in use, those can
+    // be stuck on a query that never returns
+    setTimeout(() => {
+        log.warn("Process still held after closing, exiting");
+        process.exit();
+    }, CLOSE_EXIT_DEADLINE).unref();
+
+    try {
+        await db.close();
+    } catch (err) {
+        log.error("Close failed", { err: err });
+        process.exitCode = 1;
+    }
+
+    log.info("Closed");
 };
 
 process.on("SIGHUP", close);
@@ -0,0 +1,99 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Migration script.
+
+    node migrate.js             Migrate to latest schema version
+    node migrate.js <version>   Migrate to a schema version
+    node migrate.js status      Get schema version
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+process.on("unhandledRejection", (err) => {
+    throw err;
+});
+
+/*****************************************************************************/
+
+const assert = require("assert");
+
+/*****************************************************************************/
+
+// Same as main script, the database engine reads it
+
+const prod = process.env.NODE_ENV === "production";
+Object.defineProperty(global, "PROD", {
+    enumerable: true,
+    get() {
+        return prod;
+    },
+    set() {
+        assert(false);
+    },
+});
+
+/*****************************************************************************/
+
+const db = require("./private/db.js");
+
+/*****************************************************************************/
+
+const re_is_numeric = /^\d+$/;
+
+const main = async (arg) => {
+    if (arg === "status") {
+        const r = await db.mig_status();
+
+        console.log("Schema version " + r.ver + " of " + r.latest);
+        for (const m of r.pending)
+            console.log("Pending " + m.ver + ": " + m.name);
+
+        return;
+    }
+
+    let target;
+    if (arg !== undefined) {
+        if (!re_is_numeric.test(arg))
+            throw new Error("Bad schema version: " + arg);
+
+        target = parseInt(arg, 10);
+    }
+
+    const r = await db.migrate(target);
+    console.log("Migrated from schema version " + r.from + " to " + r.to);
+};
+
+main(process.argv[2]).then(
+    () => {
+        return db.close();
+    },
+    async (err) => {
+        console.error(err.stack);
+        process.exitCode = 1;
+
+        await db.close();
+    },
+);
+
+/*****************************************************************************/
@@ -0,0 +1,121 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Cache engine.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+
+/*****************************************************************************/
+
+// Least recently used entries are dropped first once full, entries also
+// expire after their own time to live
+//
+// Values are kept as is, callers must not change them
+
+const LRU = class {
+    constructor(cap) {
+        assert(typeof cap === "number" && cap > 0);
+
+        this.cap = cap;
+
+        // Iteration order of Map is insertion order, entries are inserted
+        // again when used, so the first is the least recently used
+        this.map = new Map();
+
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    // Returns the entry, which holds the value, or undefined if missed
+
+    get(key) {
+        assert(typeof key === "string");
+
+        const entry = this.map.get(key);
+
+        if (entry === undefined) {
+            this.misses++;
+            return undefined;
+        }
+
+        this.map.delete(key);
+
+        if (entry.exp <= Date.now()) {
+            this.misses++;
+            return undefined;
+        }
+
+        this.map.set(key, entry);
+
+        this.hits++;
+        return entry;
+    }
+
+    // Time to live is in milliseconds
+
+    set(key, val, ttl) {
+        assert(typeof key === "string" && val !== undefined);
+        assert(typeof ttl === "number" && !isNaN(ttl));
+
+        this.map.delete(key);
+
+        if (ttl <= 0)
+            return;
+
+        while (this.map.size >= this.cap)
+            this.map.delete(this.map.keys().next().value);
+
+        this.map.set(key, {
+            val: val,
+            exp: Date.now() + ttl,
+        });
+    }
+
+    delete(key) {
+        assert(typeof key === "string");
+
+        this.map.delete(key);
+    }
+
+    clear() {
+        this.map.clear();
+    }
+
+    stats() {
+        return {
+            size: this.map.size,
+            cap: this.cap,
+            hits: this.hits,
+            misses: this.misses,
+        };
+    }
+};
+
+/*****************************************************************************/
+
+exports.LRU = LRU;
+
+/*****************************************************************************/
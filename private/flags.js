@@ -0,0 +1,219 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Feature flags.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+const db = require("./db.js");
+const error = require("./error.js");
+
+/*****************************************************************************/
+
+// Flags are booleans, each is taken from environment variable MY_FLAG_ and
+// its name in upper case if set, then from database, then its default
+//
+// Values in database are read again with refresh(), other instances see a
+// change once they do
+
+const ERR_FLAG_NOT_FOUND = "Flag not found";
+
+const ENV_PREFIX = "MY_FLAG_";
+
+const defs = new Map([
+    // Refuse all requests but a few, see server engine
+    ["maintenance", {
+        def: false,
+        desc: "Refuse requests with 403.",
+    }],
+
+    // For quick disaster response
+    ["reports", {
+        def: true,
+        desc: "Take reports.",
+    }],
+
+    // For debugging
+    ["invalid_urls", {
+        def: true,
+        desc: "Take reports with invalid URL.",
+    }],
+    ["debug_calls", {
+        def: true,
+        desc: "Serve debug endpoints.",
+    }],
+    ["debug_echos", {
+        def: true,
+        desc: "Send error messages back.",
+    }],
+    ["dry_run_logs", {
+        def: true,
+        desc: "Log payloads of dry run reports.",
+    }],
+]);
+
+for (const def of defs.values())
+    Object.freeze(def);
+
+/*****************************************************************************/
+
+const parse_env = (str) => {
+    str = str.trim().toLowerCase();
+
+    if (str === "true" || str === "1")
+        return true;
+    if (str === "false" || str === "0")
+        return false;
+
+    assert(false);
+};
+
+// Values by name, those not set are absent
+const env = new Map();
+let stored = new Map();
+
+for (const name of defs.keys()) {
+    const str = process.env[ENV_PREFIX + name.toUpperCase()];
+    if (typeof str === "string")
+        env.set(name, parse_env(str));
+}
+
+/*****************************************************************************/
+
+const get = (name) => {
+    assert(defs.has(name));
+
+    if (env.has(name))
+        return env.get(name);
+    if (stored.has(name))
+        return stored.get(name);
+
+    return defs.get(name).def;
+};
+
+const overridden = (name) => {
+    assert(defs.has(name));
+
+    return env.has(name);
+};
+
+// Called with name and value of flags that changed
+
+const watchers = [];
+
+const watch = (fn) => {
+    assert(typeof fn === "function");
+
+    watchers.push(fn);
+};
+
+// Stored values are replaced at once, watchers are called for those that
+// changed in effect
+
+const apply = (next) => {
+    const before = new Map();
+    for (const name of defs.keys())
+        before.set(name, get(name));
+
+    stored = next;
+
+    for (const name of defs.keys()) {
+        const val = get(name);
+        if (val === before.get(name))
+            continue;
+
+        for (const fn of watchers)
+            fn(name, val);
+    }
+};
+
+/*****************************************************************************/
+
+// Flags that this server does not know are left out, they may be for a newer
+// one
+
+const refresh = async () => {
+    const rows = await db.flg_list();
+
+    const next = new Map();
+    for (const row of rows) {
+        if (defs.has(row.name))
+            next.set(row.name, row.val);
+    }
+
+    apply(next);
+};
+
+// Value of null sets back to default, resolves to previous stored value, or
+// null if there was none
+
+const set = async (name, val) => {
+    assert(typeof name === "string");
+    assert(val === null || typeof val === "boolean");
+
+    if (!defs.has(name))
+        throw new error.RequestError(ERR_FLAG_NOT_FOUND, 404);
+
+    const before = await db.flg_set(name, val);
+
+    const next = new Map(stored);
+    if (val === null)
+        next.delete(name);
+    else
+        next.set(name, val);
+
+    apply(next);
+
+    return before;
+};
+
+const list = () => {
+    const out = [];
+
+    for (const [name, def] of defs) {
+        out.push({
+            name: name,
+            desc: def.desc,
+            val: get(name),
+            def: def.def,
+            stored: stored.has(name) ? stored.get(name) : null,
+            env: env.has(name) ? env.get(name) : null,
+        });
+    }
+
+    return out;
+};
+
+/*****************************************************************************/
+
+exports.get = get;
+exports.overridden = overridden;
+exports.watch = watch;
+
+exports.refresh = refresh;
+exports.set = set;
+exports.list = list;
+
+/*****************************************************************************/
@@ -28,6 +28,7 @@
 
 const assert = require("assert");
 const crypto = require("crypto");
+const log = require("./log.js");
 
 /*****************************************************************************/
 
@@ -48,6 +49,160 @@ const strcmp = (a, b) => {
 
 /*****************************************************************************/
 
+// Failed authentication attempts are counted by IP, too many of them in a
+// window locks the IP out, and every lockout is twice as long as the one
+// before it, up to a limit
+
+const LOCK_FAIL_COUNT = 5;
+const LOCK_FAIL_WINDOW = 900000;
+
+const LOCK_BASE = 60000;
+const LOCK_MAX = 86400000;
+
+// Lockouts are forgotten after this long without another one
+const LOCK_FORGET = 86400000;
+
+const locks = new Map();
+
+const lock_entry = (ip, now) => {
+    let entry = locks.get(ip);
+
+    if (entry === undefined) {
+        entry = {
+            fails: 0,
+            first: now,
+            strikes: 0,
+            until: 0,
+        };
+        locks.set(ip, entry);
+    }
+
+    if (entry.first + LOCK_FAIL_WINDOW < now) {
+        entry.fails = 0;
+        entry.first = now;
+    }
+
+    return entry;
+};
+
+// Returns milliseconds until lockout is over, 0 if not locked out
+const auth_locked = (ip) => {
+    assert(typeof ip === "string");
+
+    const entry = locks.get(ip);
+    if (entry === undefined)
+        return 0;
+
+    return Math.max(0, entry.until - Date.now());
+};
+
+const auth_fail = (ip) => {
+    assert(typeof ip === "string");
+
+    const now = Date.now();
+    const entry = lock_entry(ip, now);
+
+    entry.fails++;
+    if (entry.fails < LOCK_FAIL_COUNT)
+        return;
+
+    const duration = Math.min(
+        LOCK_BASE * Math.pow(2, entry.strikes),
+        LOCK_MAX,
+    );
+
+    entry.fails = 0;
+    entry.strikes++;
+    entry.until = now + duration;
+
+    log.warn("Locked out", {
+        ip: ip,
+        ms: duration,
+        strikes: entry.strikes,
+    });
+};
+
+const auth_ok = (ip) => {
+    assert(typeof ip === "string");
+
+    const entry = locks.get(ip);
+    if (entry !== undefined)
+        entry.fails = 0;
+};
+
+const lock_list = () => {
+    const now = Date.now();
+    const out = [];
+
+    for (const [ip, entry] of locks) {
+        out.push({
+            ip: ip,
+            fails: entry.fails,
+            strikes: entry.strikes,
+            locked: Math.max(0, entry.until - now),
+        });
+    }
+
+    return out;
+};
+
+// Clears all if IP is not given
+const lock_clear = (ip = null) => {
+    assert(ip === null || typeof ip === "string");
+
+    if (ip === null) {
+        locks.clear();
+        log.warn("Cleared all lockouts");
+    } else if (locks.delete(ip)) {
+        log.warn("Cleared lockout", { ip: ip });
+    }
+};
+
+const lock_vacuum = () => {
+    const now = Date.now();
+
+    for (const [ip, entry] of locks) {
+        if (entry.first + LOCK_FAIL_WINDOW >= now)
+            continue;
+
+        if (entry.until + LOCK_FORGET >= now)
+            continue;
+
+        locks.delete(ip);
+    }
+};
+
+/*****************************************************************************/
+
+// API keys are long and random, so a fast hash is enough to store them
+
+const KEY_BYTES = 32;
+
+const key_new = () => {
+    return crypto.randomBytes(KEY_BYTES).toString("hex");
+};
+
+const key_hash = (key) => {
+    assert(typeof key === "string");
+
+    const hash = crypto.createHash("sha256");
+    hash.update(key);
+    return hash.digest("hex");
+};
+
+/*****************************************************************************/
+
 exports.strcmp = strcmp;
 
+exports.key_new = key_new;
+exports.key_hash = key_hash;
+
+exports.auth_locked = auth_locked;
+exports.auth_fail = auth_fail;
+exports.auth_ok = auth_ok;
+
+exports.lock_list = lock_list;
+exports.lock_clear = lock_clear;
+exports.lock_vacuum = lock_vacuum;
+
 /*****************************************************************************/
@@ -0,0 +1,161 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Logging engine.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+
+/*****************************************************************************/
+
+// Each line is a JSON object with time, level and message, followed by
+// fields given by caller, errors are logged with their stack
+//
+// Lines below the level are dropped, warnings and errors go to standard
+// error, the rest to standard output
+
+const levels = ["debug", "info", "warn", "error"];
+
+const DEBUG_LEVEL = "debug";
+const PROD_LEVEL = "info";
+
+// Fields with these names are replaced wherever they are, at any depth
+const REDACTED = new Set([
+    "auth",
+    "authorization",
+    "cookie",
+    "set-cookie",
+    "secret",
+]);
+
+const REDACTED_VAL = "[redacted]";
+
+/*****************************************************************************/
+
+let level = process.env.MY_LOG_LEVEL || (PROD ? PROD_LEVEL : DEBUG_LEVEL);
+
+assert(levels.includes(level));
+
+const set_level = (l) => {
+    assert(levels.includes(l));
+
+    level = l;
+};
+
+const get_level = () => {
+    return level;
+};
+
+/*****************************************************************************/
+
+// Returns a copy, values that cannot be serialized are left as is
+
+const redact = (val, depth = 0) => {
+    if (typeof val !== "object" || val === null)
+        return val;
+
+    // Deep enough for payloads, JSON.stringify deals with the rest
+    if (depth > 8)
+        return val;
+
+    if (val instanceof Error)
+        return val.stack;
+
+    if (Array.isArray(val))
+        return val.map((v) => {
+            return redact(v, depth + 1);
+        });
+
+    const out = {};
+    for (const key of Object.keys(val)) {
+        if (REDACTED.has(key.toLowerCase()))
+            out[key] = REDACTED_VAL;
+        else
+            out[key] = redact(val[key], depth + 1);
+    }
+
+    return out;
+};
+
+/*****************************************************************************/
+
+const write = (l, msg, fields) => {
+    assert(levels.includes(l) && typeof msg === "string");
+    assert(typeof fields === "object" && fields !== null);
+
+    if (levels.indexOf(l) < levels.indexOf(level))
+        return;
+
+    const line = Object.assign({
+        ts: new Date().toISOString(),
+        level: l,
+        msg: msg,
+    }, redact(fields));
+
+    let data;
+    try {
+        data = JSON.stringify(line);
+    } catch (err) {
+        // Circular fields, the message is still worth having
+        data = JSON.stringify({ ts: line.ts, level: l, msg: msg });
+    }
+
+    if (l === "warn" || l === "error")
+        process.stderr.write(data + "\n");
+    else
+        process.stdout.write(data + "\n");
+};
+
+const debug = (msg, fields = {}) => {
+    write("debug", msg, fields);
+};
+
+const info = (msg, fields = {}) => {
+    write("info", msg, fields);
+};
+
+const warn = (msg, fields = {}) => {
+    write("warn", msg, fields);
+};
+
+const error = (msg, fields = {}) => {
+    write("error", msg, fields);
+};
+
+/*****************************************************************************/
+
+exports.levels = levels;
+
+exports.set_level = set_level;
+exports.get_level = get_level;
+
+exports.redact = redact;
+
+exports.debug = debug;
+exports.info = info;
+exports.warn = warn;
+exports.error = error;
+
+/*****************************************************************************/
@@ -0,0 +1,330 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Metrics engine.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+
+/*****************************************************************************/
+
+// Metrics are kept in memory of this instance and rendered in Prometheus
+// text format, each has fixed label names, every combination of label values
+// seen is a series
+//
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const DEFAULT_BUCKETS = Object.freeze([
+    0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+]);
+
+const re_valid_name = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const re_valid_label = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/*****************************************************************************/
+
+const registry = new Map();
+
+const escape_help = (str) => {
+    return str.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+};
+
+const escape_label = (str) => {
+    return escape_help(str).replace(/"/g, "\\\"");
+};
+
+const format_num = (n) => {
+    if (n === Infinity)
+        return "+Inf";
+    if (n === -Infinity)
+        return "-Inf";
+
+    return n.toString();
+};
+
+// Label names and values into {a="1",b="2"}, empty if there is none
+
+const format_labels = (names, values) => {
+    if (names.length === 0)
+        return "";
+
+    const out = [];
+    for (let i = 0; i < names.length; i++)
+        out.push(names[i] + '="' + escape_label(values[i]) + '"');
+
+    return "{" + out.join(",") + "}";
+};
+
+/*****************************************************************************/
+
+const Metric = class {
+    constructor(type, name, help, labels) {
+        assert(typeof name === "string" && re_valid_name.test(name));
+        assert(typeof help === "string");
+        assert(Array.isArray(labels));
+        for (const label of labels)
+            assert(typeof label === "string" && re_valid_label.test(label));
+
+        assert(!registry.has(name));
+        registry.set(name, this);
+
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labels = labels;
+
+        // Series by label values, joined as a key
+        this.series = new Map();
+    }
+
+    // Label values in order of label names, values are converted to string
+
+    values(labels) {
+        assert(typeof labels === "object" && labels !== null);
+        assert(Object.keys(labels).length === this.labels.length);
+
+        return this.labels.map((label) => {
+            assert(labels[label] !== undefined);
+            return String(labels[label]);
+        });
+    }
+
+    entry(labels, init) {
+        const values = this.values(labels);
+        const key = JSON.stringify(values);
+
+        let entry = this.series.get(key);
+        if (entry === undefined) {
+            entry = { values: values, val: init() };
+            this.series.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    head() {
+        return [
+            "# HELP " + this.name + " " + escape_help(this.help),
+            "# TYPE " + this.name + " " + this.type,
+        ];
+    }
+
+    render() {
+        const out = this.head();
+
+        for (const entry of this.series.values()) {
+            out.push(
+                this.name + format_labels(this.labels, entry.values) + " " +
+                format_num(entry.val),
+            );
+        }
+
+        return out;
+    }
+};
+
+/*****************************************************************************/
+
+// Only goes up, resets when the instance restarts
+
+const Counter = class extends Metric {
+    constructor(name, help, labels = []) {
+        super("counter", name, help, labels);
+    }
+
+    inc(labels = {}, n = 1) {
+        assert(typeof n === "number" && n >= 0);
+
+        this.entry(labels, () => {
+            return 0;
+        }).val += n;
+    }
+};
+
+// Can go either way, collect is called with the gauge before rendering, to
+// set values that are read rather than tracked
+
+const Gauge = class extends Metric {
+    constructor(name, help, labels = [], collect = null) {
+        super("gauge", name, help, labels);
+
+        assert(collect === null || typeof collect === "function");
+        this.collect = collect;
+    }
+
+    set(labels, n) {
+        assert(typeof n === "number");
+
+        this.entry(labels, () => {
+            return 0;
+        }).val = n;
+    }
+
+    inc(labels = {}, n = 1) {
+        assert(typeof n === "number");
+
+        this.entry(labels, () => {
+            return 0;
+        }).val += n;
+    }
+
+    dec(labels = {}, n = 1) {
+        this.inc(labels, -n);
+    }
+
+    render() {
+        if (this.collect !== null)
+            this.collect(this);
+
+        return super.render();
+    }
+};
+
+// Counts of observations by upper bounds of buckets, plus their sum and
+// count, buckets are rendered cumulative
+
+const Histogram = class extends Metric {
+    constructor(name, help, labels = [], buckets = DEFAULT_BUCKETS) {
+        super("histogram", name, help, labels);
+
+        assert(!labels.includes("le"));
+        assert(Array.isArray(buckets) && buckets.length > 0);
+        for (let i = 1; i < buckets.length; i++)
+            assert(buckets[i - 1] < buckets[i]);
+
+        this.buckets = buckets;
+    }
+
+    observe(labels, n) {
+        assert(typeof n === "number" && !isNaN(n));
+
+        const val = this.entry(labels, () => {
+            return {
+                counts: this.buckets.map(() => {
+                    return 0;
+                }),
+                sum: 0,
+                count: 0,
+            };
+        }).val;
+
+        // Only the first bucket that fits is counted, others are added up
+        // when rendering
+        const i = this.buckets.findIndex((b) => {
+            return n <= b;
+        });
+        if (i !== -1)
+            val.counts[i]++;
+
+        val.sum += n;
+        val.count++;
+    }
+
+    // Returns a function that observes seconds passed since this is called,
+    // with more labels if given
+
+    timer(labels) {
+        const start = process.hrtime();
+
+        return (more = {}) => {
+            const [s, ns] = process.hrtime(start);
+
+            this.observe(Object.assign({}, labels, more), s + ns / 1e9);
+        };
+    }
+
+    render() {
+        const out = this.head();
+        const names = this.labels.concat(["le"]);
+
+        for (const entry of this.series.values()) {
+            const val = entry.val;
+
+            let acc = 0;
+            for (let i = 0; i < this.buckets.length; i++) {
+                acc += val.counts[i];
+
+                const values = entry.values.concat([
+                    format_num(this.buckets[i]),
+                ]);
+                out.push(
+                    this.name + "_bucket" + format_labels(names, values) +
+                    " " + format_num(acc),
+                );
+            }
+
+            const values = entry.values.concat(["+Inf"]);
+            const labels = format_labels(this.labels, entry.values);
+
+            out.push(
+                this.name + "_bucket" + format_labels(names, values) + " " +
+                format_num(val.count),
+                this.name + "_sum" + labels + " " + format_num(val.sum),
+                this.name + "_count" + labels + " " + format_num(val.count),
+            );
+        }
+
+        return out;
+    }
+};
+
+/*****************************************************************************/
+
+const counter = (name, help, labels) => {
+    return new Counter(name, help, labels);
+};
+
+const gauge = (name, help, labels, collect) => {
+    return new Gauge(name, help, labels, collect);
+};
+
+const histogram = (name, help, labels, buckets) => {
+    return new Histogram(name, help, labels, buckets);
+};
+
+/*****************************************************************************/
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const render = () => {
+    const out = [];
+
+    for (const metric of registry.values())
+        out.push(...metric.render());
+
+    return out.join("\n") + "\n";
+};
+
+/*****************************************************************************/
+
+exports.CONTENT_TYPE = CONTENT_TYPE;
+
+exports.counter = counter;
+exports.gauge = gauge;
+exports.histogram = histogram;
+
+exports.render = render;
+
+/*****************************************************************************/
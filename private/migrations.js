@@ -0,0 +1,442 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Database schema migrations.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+
+/*****************************************************************************/
+
+// Migrations are numbered from 1 without gaps, each has statements to move
+// the schema up from the previous version and down back to it, statements
+// are arrays of lines
+//
+// Databases set up before migrations existed have the tables of version 1
+// but no version recorded, so the statements of version 1 must be safe to
+// run again
+
+const list = [
+
+    /*************************************************************************/
+
+    {
+        ver: 1,
+        name: "Create map, reports and solutions",
+        up: [
+            // Key, value
+            [
+                "CREATE TABLE IF NOT EXISTS map (",
+                "    key VARCHAR NOT NULL PRIMARY KEY,",
+                "    val VARCHAR NOT NULL",
+                ");",
+            ],
+            // Serial number, JSON data
+            [
+                "CREATE TABLE IF NOT EXISTS reports (",
+                "    id BIGSERIAL PRIMARY KEY,",
+                "    dt VARCHAR NOT NULL",
+                ");",
+            ],
+            // Domain, solution text or identifier
+            [
+                "CREATE TABLE IF NOT EXISTS solutions (",
+                "    dom VARCHAR NOT NULL PRIMARY KEY,",
+                "    sol VARCHAR NOT NULL",
+                ");",
+            ],
+        ],
+        down: [
+            ["DROP TABLE solutions;"],
+            ["DROP TABLE reports;"],
+            ["DROP TABLE map;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 2,
+        name: "Store report data as JSONB with submission time",
+        up: [
+            // Reports made before this will have the time of the upgrade as
+            // submission time
+            [
+                "ALTER TABLE reports ALTER COLUMN dt TYPE JSONB",
+                "USING dt::JSONB;",
+            ],
+            [
+                "ALTER TABLE reports",
+                "ADD COLUMN ts TIMESTAMPTZ NOT NULL",
+                "    DEFAULT NOW();",
+            ],
+            ["CREATE INDEX reports_ts ON reports (ts);"],
+            [
+                "CREATE INDEX reports_dom",
+                "ON reports ((dt->>'dom'));",
+            ],
+        ],
+        down: [
+            ["DROP INDEX reports_dom;"],
+            ["DROP INDEX reports_ts;"],
+            ["ALTER TABLE reports DROP COLUMN ts;"],
+            [
+                "ALTER TABLE reports ALTER COLUMN dt TYPE VARCHAR",
+                "USING dt::TEXT;",
+            ],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 3,
+        name: "Add report triage",
+        up: [
+            // Triage status, assignee, resolution note, linked solution,
+            // deletion time if deleted
+            [
+                "ALTER TABLE reports",
+                "ADD COLUMN status VARCHAR NOT NULL",
+                "    DEFAULT 'open',",
+                "ADD COLUMN assignee VARCHAR,",
+                "ADD COLUMN note VARCHAR,",
+                "ADD COLUMN sol VARCHAR",
+                "    REFERENCES solutions (dom) ON DELETE SET NULL,",
+                "ADD COLUMN del TIMESTAMPTZ;",
+            ],
+            ["CREATE INDEX reports_status ON reports (status);"],
+        ],
+        down: [
+            ["DROP INDEX reports_status;"],
+            [
+                "ALTER TABLE reports",
+                "DROP COLUMN status,",
+                "DROP COLUMN assignee,",
+                "DROP COLUMN note,",
+                "DROP COLUMN sol,",
+                "DROP COLUMN del;",
+            ],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 4,
+        name: "Cluster reports",
+        up: [
+            // Serial number, hash of domain, category and normalized
+            // message, the same without hashing, report count, first and
+            // last report time
+            [
+                "CREATE TABLE clusters (",
+                "    id BIGSERIAL PRIMARY KEY,",
+                "    key VARCHAR NOT NULL UNIQUE,",
+                "    dom VARCHAR NOT NULL,",
+                "    cat VARCHAR NOT NULL,",
+                "    msg VARCHAR NOT NULL,",
+                "    n BIGINT NOT NULL DEFAULT 1,",
+                "    first TIMESTAMPTZ NOT NULL DEFAULT NOW(),",
+                "    last TIMESTAMPTZ NOT NULL DEFAULT NOW()",
+                ");",
+            ],
+            ["CREATE INDEX clusters_n ON clusters (n);"],
+            // Reports made before this are not in any cluster
+            [
+                "ALTER TABLE reports",
+                "ADD COLUMN cluster BIGINT",
+                "    REFERENCES clusters (id) ON DELETE SET NULL;",
+            ],
+            [
+                "CREATE INDEX reports_cluster",
+                "ON reports (cluster);",
+            ],
+        ],
+        down: [
+            ["DROP INDEX reports_cluster;"],
+            ["ALTER TABLE reports DROP COLUMN cluster;"],
+            ["DROP TABLE clusters;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 5,
+        name: "Let solutions cover subdomains",
+        up: [
+            // Whether subdomains are also covered
+            [
+                "ALTER TABLE solutions",
+                "ADD COLUMN sub BOOLEAN NOT NULL DEFAULT FALSE;",
+            ],
+        ],
+        down: [
+            // Wildcard patterns are left as is, they will only match domains
+            // that literally start with "*."
+            ["ALTER TABLE solutions DROP COLUMN sub;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 6,
+        name: "Store solutions as structured records",
+        up: [
+            // Free-form text becomes known issue with the text as English
+            // message
+            [
+                "ALTER TABLE solutions ALTER COLUMN sol TYPE JSONB",
+                "USING jsonb_build_object(",
+                "    'kind', 'known',",
+                "    'msg', jsonb_build_object('en', sol),",
+                "    'ver', NULL,",
+                "    'url', NULL,",
+                "    'exp', NULL",
+                ");",
+            ],
+        ],
+        down: [
+            // Only English message is kept
+            [
+                "ALTER TABLE solutions ALTER COLUMN sol TYPE VARCHAR",
+                "USING sol->'msg'->>'en';",
+            ],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 7,
+        name: "Add call throttle",
+        up: [
+            // Limit and key, caller IP, tokens left, time of last call, time
+            // when full again, whether last call was allowed
+            [
+                "CREATE TABLE buckets (",
+                "    key VARCHAR NOT NULL PRIMARY KEY,",
+                "    who VARCHAR NOT NULL,",
+                "    tokens DOUBLE PRECISION NOT NULL,",
+                "    stamp TIMESTAMPTZ NOT NULL,",
+                "    filled TIMESTAMPTZ NOT NULL,",
+                "    ok BOOLEAN NOT NULL",
+                ");",
+            ],
+            ["CREATE INDEX buckets_who ON buckets (who);"],
+            ["CREATE INDEX buckets_filled ON buckets (filled);"],
+        ],
+        down: [
+            ["DROP TABLE buckets;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 8,
+        name: "Add API keys",
+        up: [
+            // Name, hash of key, scopes, time created, time last rotated,
+            // time revoked if revoked
+            [
+                "CREATE TABLE api_keys (",
+                "    name VARCHAR NOT NULL PRIMARY KEY,",
+                "    hash VARCHAR NOT NULL UNIQUE,",
+                "    scopes VARCHAR[] NOT NULL,",
+                "    created TIMESTAMPTZ NOT NULL DEFAULT NOW(),",
+                "    rotated TIMESTAMPTZ,",
+                "    revoked TIMESTAMPTZ",
+                ");",
+            ],
+        ],
+        down: [
+            ["DROP TABLE api_keys;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 9,
+        name: "Add audit log",
+        up: [
+            // Serial number, time, endpoint, caller identity if
+            // authenticated, caller IP, what was changed if applicable,
+            // values before and after
+            [
+                "CREATE TABLE audit_log (",
+                "    id BIGSERIAL PRIMARY KEY,",
+                "    ts TIMESTAMPTZ NOT NULL DEFAULT NOW(),",
+                "    endpoint VARCHAR NOT NULL,",
+                "    who VARCHAR,",
+                "    ip VARCHAR NOT NULL,",
+                "    target VARCHAR,",
+                "    before JSONB,",
+                "    after JSONB",
+                ");",
+            ],
+            ["CREATE INDEX audit_log_ts ON audit_log (ts);"],
+            ["CREATE INDEX audit_log_target ON audit_log (target);"],
+        ],
+        down: [
+            ["DROP TABLE audit_log;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 10,
+        name: "Add revisions of solutions and map",
+        up: [
+            // Serial number, domain pattern, solution record and whether
+            // subdomains are covered or null if deleted, time
+            [
+                "CREATE TABLE sol_revs (",
+                "    id BIGSERIAL PRIMARY KEY,",
+                "    dom VARCHAR NOT NULL,",
+                "    sol JSONB,",
+                "    sub BOOLEAN,",
+                "    ts TIMESTAMPTZ NOT NULL DEFAULT NOW()",
+                ");",
+            ],
+            ["CREATE INDEX sol_revs_dom ON sol_revs (dom, id);"],
+            // Serial number, key, value, time
+            [
+                "CREATE TABLE map_revs (",
+                "    id BIGSERIAL PRIMARY KEY,",
+                "    key VARCHAR NOT NULL,",
+                "    val VARCHAR NOT NULL,",
+                "    ts TIMESTAMPTZ NOT NULL DEFAULT NOW()",
+                ");",
+            ],
+            ["CREATE INDEX map_revs_key ON map_revs (key, id);"],
+            // Current values are the first revisions
+            [
+                "INSERT INTO sol_revs (dom, sol, sub)",
+                "SELECT dom, sol, sub FROM solutions;",
+            ],
+            ["INSERT INTO map_revs (key, val) SELECT key, val FROM map;"],
+        ],
+        down: [
+            ["DROP TABLE map_revs;"],
+            ["DROP TABLE sol_revs;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 11,
+        name: "Type values of map and add definitions",
+        up: [
+            // Existing values are all strings
+            [
+                "ALTER TABLE map",
+                "ALTER COLUMN val TYPE JSONB USING to_jsonb(val);",
+            ],
+            [
+                "ALTER TABLE map_revs",
+                "ALTER COLUMN val TYPE JSONB USING to_jsonb(val);",
+            ],
+            // Key, definition, time
+            [
+                "CREATE TABLE map_defs (",
+                "    key VARCHAR PRIMARY KEY,",
+                "    def JSONB NOT NULL,",
+                "    ts TIMESTAMPTZ NOT NULL DEFAULT NOW()",
+                ");",
+            ],
+        ],
+        down: [
+            ["DELETE FROM map WHERE key IN (SELECT key FROM map_defs);"],
+            ["DROP TABLE map_defs;"],
+            [
+                "ALTER TABLE map_revs",
+                "ALTER COLUMN val TYPE VARCHAR USING val #>> '{}';",
+            ],
+            [
+                "ALTER TABLE map",
+                "ALTER COLUMN val TYPE VARCHAR USING val #>> '{}';",
+            ],
+        ],
+    },
+
+    /*************************************************************************/
+
+    {
+        ver: 12,
+        name: "Add feature flags",
+        up: [
+            // Name, value, time, flags not stored take their default
+            [
+                "CREATE TABLE flags (",
+                "    name VARCHAR PRIMARY KEY,",
+                "    val BOOLEAN NOT NULL,",
+                "    ts TIMESTAMPTZ NOT NULL DEFAULT NOW()",
+                ");",
+            ],
+        ],
+        down: [
+            ["DROP TABLE flags;"],
+        ],
+    },
+
+    /*************************************************************************/
+
+];
+
+/*****************************************************************************/
+
+for (let i = 0; i < list.length; i++) {
+    const m = list[i];
+
+    assert(m.ver === i + 1 && typeof m.name === "string");
+    assert(Array.isArray(m.up) && Array.isArray(m.down));
+
+    Object.freeze(m);
+}
+
+Object.freeze(list);
+
+const latest = list.length;
+
+// Version 0 is empty database
+const get = (ver) => {
+    assert(Number.isInteger(ver) && 1 <= ver && ver <= latest);
+
+    return list[ver - 1];
+};
+
+/*****************************************************************************/
+
+exports.list = list;
+exports.latest = latest;
+exports.get = get;
+
+/*****************************************************************************/
@@ -27,8 +27,12 @@
 /*****************************************************************************/
 
 const assert = require("assert");
+const crypto = require("crypto");
 const error = require("./error.js");
 const http = require("http");
+const log = require("./log.js");
+const metrics = require("./metrics.js");
+const querystring = require("querystring");
 
 /*****************************************************************************/
 
@@ -40,7 +44,30 @@ const port = PROD ? process.env.PORT : DEBUG_PORT;
 
 assert(typeof port === "string");
 
-console.log("Server started on port " + port);
+log.info("Server started", { port: port });
+
+/*****************************************************************************/
+
+// Routes are labeled by their pattern, requests that match none by this
+const ROUTE_NONE = "none";
+
+const m_requests = metrics.counter(
+    "http_requests_total",
+    "Requests by method, route and status.",
+    ["method", "route", "status"],
+);
+
+const m_duration = metrics.histogram(
+    "http_request_duration_seconds",
+    "Time from request to response sent, by method and route.",
+    ["method", "route"],
+);
+
+const m_limited = metrics.counter(
+    "throttle_limited_total",
+    "Requests refused by rate limits, by limiter.",
+    ["limiter"],
+);
 
 /*****************************************************************************/
 
@@ -62,6 +89,16 @@ const set_enabled = (v) => {
     enabled = v;
 };
 
+// Paths that still work when disabled, so that the server can be enabled
+// again and watched meanwhile
+const always_enabled = new Set();
+
+const keep_enabled = (path) => {
+    assert(typeof path === "string" && path.startsWith("/"));
+
+    always_enabled.add(path);
+};
+
 /*****************************************************************************/
 
 const headers = Object.freeze({
@@ -80,18 +117,448 @@ const headers = Object.freeze({
 
 /*****************************************************************************/
 
-const apps = new Map();
+// Strong validator of a response body
 
-const bind = (token, handler) => {
-    assert(!apps.has(token));
+const etag = (data) => {
+    assert(typeof data === "string");
 
-    apps.set(token, handler);
+    const hash = crypto.createHash("sha256").update(data).digest("base64");
+    return '"' + hash.substring(0, 43) + '"';
 };
 
-const alias = (existing, new_name) => {
-    assert(apps.has(existing) && !apps.has(new_name));
+// https://tools.ietf.org/html/rfc7232#section-3.2
+const etag_match = (header, tag) => {
+    if (typeof header !== "string")
+        return false;
+
+    for (let t of header.split(",")) {
+        t = t.trim();
+
+        if (t === "*")
+            return true;
+
+        // Weak comparison is used for If-None-Match
+        if (t.startsWith("W/"))
+            t = t.substring(2);
 
-    apps.set(new_name, apps.get(existing));
+        if (t === tag)
+            return true;
+    }
+
+    return false;
+};
+
+/*****************************************************************************/
+
+// Payloads of routes with a schema are read and checked before the handler is
+// called, e.body() then resolves to the checked payload
+//
+// A schema has:
+//     desc   - Description, for documentation
+//     lim    - Optional size limit of payload
+//     fields - Fields by name, fields not listed are let through
+//
+// A field has:
+//     type     - "string", "number", "integer", "boolean", "object", "array"
+//                or "any"
+//     desc     - Description, for documentation
+//     opt      - Optional, whether it can be left out
+//     nullable - Optional, whether it can be null
+//     min      - Optional lower bound, inclusive, of value for numbers or
+//                length for strings and arrays
+//     max      - Optional upper bound, inclusive, same as min
+//     pattern  - Optional regular expression strings must match
+//     values   - Optional list of allowed values
+//     items    - Optional field that items of arrays must satisfy
+
+const SIZE_LIM_DEF = 131072;
+
+const field_types = [
+    "string",
+    "number",
+    "integer",
+    "boolean",
+    "object",
+    "array",
+    "any",
+];
+
+const field_assert = (f) => {
+    assert(typeof f === "object" && f !== null);
+    assert(field_types.includes(f.type) && typeof f.desc === "string");
+    assert(f.pattern === undefined || f.pattern instanceof RegExp);
+    assert(f.values === undefined || Array.isArray(f.values));
+
+    if (f.items !== undefined) {
+        assert(f.type === "array");
+        field_assert(f.items);
+    }
+};
+
+const schema_assert = (schema) => {
+    assert(typeof schema === "object" && schema !== null);
+    assert(typeof schema.desc === "string");
+    assert(schema.lim === undefined || typeof schema.lim === "number");
+    assert(typeof schema.fields === "object" && schema.fields !== null);
+
+    for (const key of Object.keys(schema.fields))
+        field_assert(schema.fields[key]);
+};
+
+const field_type_ok = (type, val) => {
+    switch (type) {
+        case "string":
+            return typeof val === "string";
+        case "number":
+            return typeof val === "number" && isFinite(val);
+        case "integer":
+            return Number.isSafeInteger(val);
+        case "boolean":
+            return typeof val === "boolean";
+        case "object":
+            return typeof val === "object" && val !== null &&
+                !Array.isArray(val);
+        case "array":
+            return Array.isArray(val);
+        case "any":
+            return true;
+        default:
+            assert(false);
+    }
+};
+
+// Returns the error message, or null if valid
+
+const field_check = (f, val) => {
+    if (val === undefined)
+        return f.opt ? null : "Required";
+
+    if (val === null)
+        return f.nullable ? null : "Cannot be null";
+
+    if (!field_type_ok(f.type, val))
+        return "Must be " + f.type;
+
+    let size = null;
+    if (f.type === "string" || f.type === "array")
+        size = val.length;
+    else if (f.type === "number" || f.type === "integer")
+        size = val;
+
+    if (f.min !== undefined && size !== null && size < f.min)
+        return "Must be at least " + f.min.toString();
+    if (f.max !== undefined && size !== null && size > f.max)
+        return "Must be at most " + f.max.toString();
+
+    if (f.pattern !== undefined && typeof val === "string") {
+        if (!f.pattern.test(val))
+            return "Not valid";
+    }
+
+    if (f.values !== undefined && !f.values.includes(val))
+        return "Must be one of " + f.values.join(", ");
+
+    if (f.items !== undefined) {
+        for (let i = 0; i < val.length; i++) {
+            const err = field_check(f.items, val[i]);
+            if (err !== null)
+                return "Item " + i.toString() + ": " + err;
+        }
+    }
+
+    return null;
+};
+
+// Resolves to offending fields, each with name and error message
+
+const schema_check = (schema, p) => {
+    const out = [];
+
+    for (const key of Object.keys(schema.fields)) {
+        const err = field_check(schema.fields[key], p[key]);
+        if (err !== null) {
+            out.push({
+                field: key,
+                message: err,
+            });
+        }
+    }
+
+    return out;
+};
+
+/*****************************************************************************/
+
+// Paths are lower case, segments starting with ":" match any non-empty segment
+// and are exposed in e.params, like "/solutions/:dom"
+//
+// Each route has entries by method, each with schema, which can be left out,
+// handler and middleware
+
+const methods = ["GET", "POST"];
+
+// Routes without parameters by path, and those with in order of adding
+const routes = new Map();
+const patterns = [];
+
+const re_param = /^:[a-z_][a-z0-9_]*$/;
+
+const route_of = (path) => {
+    assert(typeof path === "string" && path.startsWith("/"));
+    assert(path === path.toLowerCase());
+
+    const segs = path.split("/");
+    const keys = [];
+
+    for (const seg of segs) {
+        if (seg.startsWith(":")) {
+            assert(re_param.test(seg));
+            keys.push(seg.substring(1));
+        }
+    }
+
+    if (keys.length === 0) {
+        let r = routes.get(path);
+        if (r === undefined) {
+            r = {
+                path: path,
+                entries: new Map(),
+            };
+            routes.set(path, r);
+        }
+        return r;
+    }
+
+    let r = patterns.find((pattern) => pattern.path === path);
+    if (r === undefined) {
+        r = {
+            path: path,
+            segs: segs,
+            keys: keys,
+            entries: new Map(),
+        };
+        patterns.push(r);
+    }
+    return r;
+};
+
+// Middleware is called with the event and a function that runs the rest of
+// the chain, it can respond by itself instead of calling it, annotate the
+// event, or catch what the rest throws
+//
+// Global middleware runs first, then that of groups, then that of the route,
+// then payload is checked against schema and handler is called
+//
+// Limiters, which have take(e) like those of throttle engine, can be given
+// instead of middleware, they are checked with e.limit()
+
+const global_middleware = [];
+
+const use = (mw) => {
+    assert(typeof mw === "function");
+
+    global_middleware.push(mw);
+};
+
+const limited = (limiter) => {
+    assert(typeof limiter.take === "function");
+
+    return async (e, next) => {
+        if (await e.limit(limiter))
+            await next();
+    };
+};
+
+const run = (chain, e, i = 0) => {
+    if (i === chain.length)
+        return Promise.resolve();
+
+    let called = false;
+
+    return Promise.resolve(chain[i](e, () => {
+        assert(!called);
+        called = true;
+
+        return run(chain, e, i + 1);
+    }));
+};
+
+/*****************************************************************************/
+
+const Group = class {
+    constructor(middleware) {
+        this.middleware = middleware.map((mw) => {
+            return typeof mw === "function" ? mw : limited(mw);
+        });
+    }
+
+    route(method, path, schema, handler, middleware = []) {
+        if (typeof schema === "function") {
+            middleware = handler === undefined ? [] : handler;
+            handler = schema;
+            schema = null;
+        }
+
+        if (Array.isArray(method)) {
+            for (const m of method)
+                this.route(m, path, schema, handler, middleware);
+            return;
+        }
+
+        assert(methods.includes(method));
+        assert(typeof handler === "function" && Array.isArray(middleware));
+
+        // Payload is only read for POST
+        if (schema !== null) {
+            assert(method === "POST");
+            schema_assert(schema);
+        }
+
+        const r = route_of(path);
+        assert(!r.entries.has(method));
+
+        r.entries.set(method, {
+            schema: schema,
+            handler: handler,
+            middleware: this.middleware.concat(
+                new Group(middleware).middleware,
+            ),
+        });
+    }
+
+    get(path, schema, handler, middleware) {
+        this.route("GET", path, schema, handler, middleware);
+    }
+
+    post(path, schema, handler, middleware) {
+        this.route("POST", path, schema, handler, middleware);
+    }
+
+    group(middleware) {
+        assert(Array.isArray(middleware));
+
+        return new Group(this.middleware.concat(middleware));
+    }
+};
+
+const root = new Group([]);
+
+const route = root.route.bind(root);
+const get = root.get.bind(root);
+const post = root.post.bind(root);
+const group = root.group.bind(root);
+
+const alias = (existing, new_path) => {
+    assert(routes.has(existing) && !routes.has(new_path));
+
+    routes.set(new_path, {
+        path: new_path,
+        entries: routes.get(existing).entries,
+    });
+};
+
+// Resolves to route and parameters, or null if none matches
+
+const match = (path) => {
+    const r = routes.get(path);
+    if (r !== undefined) {
+        return {
+            route: r,
+            params: {},
+        };
+    }
+
+    const segs = path.split("/");
+
+    for (const pattern of patterns) {
+        if (pattern.segs.length !== segs.length)
+            continue;
+
+        const params = {};
+        let ok = true;
+
+        for (let i = 0; i < segs.length && ok; i++) {
+            const want = pattern.segs[i];
+
+            if (want.startsWith(":")) {
+                if (segs[i].length === 0)
+                    ok = false;
+                else
+                    params[want.substring(1)] = segs[i];
+            } else if (want !== segs[i]) {
+                ok = false;
+            }
+        }
+
+        if (ok) {
+            return {
+                route: pattern,
+                params: params,
+            };
+        }
+    }
+
+    return null;
+};
+
+/*****************************************************************************/
+
+// Documentation of routes with a schema, in the format of README.MD
+
+const doc_types = {
+    string: "string",
+    number: "number",
+    integer: "number",
+    boolean: "boolean",
+    object: "Object",
+    array: "Array",
+    any: "Any",
+};
+
+const doc_field = (key, f) => {
+    let type = doc_types[f.type];
+    if (f.nullable)
+        type += "|null";
+    if (f.opt)
+        type += "|undefined";
+
+    return "- `" + key + ": " + type + "` - " + f.desc;
+};
+
+const docs = () => {
+    const out = [];
+
+    const all = Array.from(routes.values()).concat(patterns);
+    all.sort((a, b) => a.path < b.path ? -1 : 1);
+
+    for (const r of all) {
+        const entry = r.entries.get("POST");
+        if (entry === undefined || entry.schema === null)
+            continue;
+
+        const schema = entry.schema;
+
+        // Authentication middleware is marked with the scope it needs
+        const auth = entry.middleware.find((mw) => {
+            return typeof mw.scope === "string";
+        });
+
+        let head = "### POST `" + r.path + "`";
+        if (auth !== undefined)
+            head += " AUTH `" + auth.scope + "`";
+        out.push(head, "", schema.desc, "");
+
+        const lines = [];
+        if (auth !== undefined)
+            lines.push("- `auth: string` - API key.");
+        for (const key of Object.keys(schema.fields))
+            lines.push(doc_field(key, schema.fields[key]));
+
+        if (lines.length > 0)
+            out.push("Request payload:", ...lines, "");
+    }
+
+    return out.join("\n");
 };
 
 /*****************************************************************************/
@@ -116,16 +583,18 @@ const parse_ip = (req, def = "::ffff:0.0.0.0") => {
     if (typeof ip !== "string")
         ip = def;
 
+    // Proxy server appends the address it saw, entries before it are sent by
+    // client and cannot be trusted
     if (PROD) {
         const _ip = req.headers["x-forwarded-for"];
         if (typeof _ip === "string") {
-            const i = _ip.indexOf(",");
+            const i = _ip.lastIndexOf(",");
             if (i === -1)
                 ip = _ip;
             else
-                ip = _ip.substring(0, i);
+                ip = _ip.substring(i + 1);
         } else {
-            console.warn("Proxy server did not set forwarded IP");
+            log.warn("Proxy server did not set forwarded IP");
         }
     }
 
@@ -137,6 +606,21 @@ const parse_ip = (req, def = "::ffff:0.0.0.0") => {
     return ip;
 };
 
+// Only the most preferred language is used
+const parse_lang = (req, def = "") => {
+    let lang = req.headers["accept-language"];
+
+    if (typeof lang !== "string")
+        return def;
+
+    lang = lang.split(",")[0].split(";")[0].trim().toLowerCase();
+
+    if (lang.length === 0 || lang === "*")
+        lang = def;
+
+    return lang;
+};
+
 const parse_origin = (req, def = "Unknown") => {
     let origin = req.headers["origin"];
 
@@ -156,13 +640,47 @@ const parse_proto = (req, def = "http") => {
         if (typeof _proto === "string") {
             proto = _proto.trim();
         } else {
-            console.warn("Proxy server did not set forwarded protocol");
+            log.warn("Proxy server did not set forwarded protocol");
         }
     }
 
     return proto;
 };
 
+const parse_path = (url) => {
+    const i = url.indexOf("?");
+
+    return i === -1 ? url : url.substring(0, i);
+};
+
+// Only the first of repeated keys is kept
+const parse_query = (req) => {
+    const i = req.url.indexOf("?");
+    if (i === -1)
+        return {};
+
+    const q = querystring.parse(req.url.substring(i + 1));
+
+    const out = {};
+    for (const key of Object.keys(q))
+        out[key] = Array.isArray(q[key]) ? q[key][0] : q[key];
+
+    return out;
+};
+
+// The one set by proxy server is kept so that its logs can be matched,
+// otherwise a new one is made
+const re_valid_request_id = /^[A-Za-z0-9_\-]{8,128}$/;
+
+const parse_request_id = (req) => {
+    const id = req.headers["x-request-id"];
+
+    if (typeof id === "string" && re_valid_request_id.test(id))
+        return id;
+
+    return crypto.randomBytes(8).toString("hex");
+};
+
 const parse_ua = (req, def = "Unknown") => {
     let ua = req.headers["user-agent"];
 
@@ -184,19 +702,71 @@ const RequestEvent = class {
         this.req = req;
         this.res = res;
 
+        this.id = parse_request_id(req);
+        this.started = Date.now();
+
         this.method = req.method.toUpperCase().trim();
         this.url = req.url.toLowerCase().trim();
 
+        // Path is lower case, query is as sent, parameters are set by router
+        this.path = parse_path(this.url);
+        this.query = parse_query(req);
+        this.params = {};
+
+        // Pattern of matched route, set by router
+        this.route = null;
+
         this.host = parse_host(req);
         this.ip = parse_ip(req);
+        this.lang = parse_lang(req);
         this.origin = parse_origin(req);
         this.proto = parse_proto(req);
         this.ua = parse_ua(req);
+
+        // Headers in addition to default ones
+        this.extra = { "X-Request-Id": this.id };
+
+        // Remaining tokens of most restrictive limiter
+        this.remaining = Infinity;
+
+        // Promise of payload, once read, and size limit of it
+        this.payload = null;
+        this.lim = SIZE_LIM_DEF;
     }
 
     /*************************************************************************/
 
-    body(lim = 131072) {
+    set_header(key, val) {
+        assert(typeof key === "string" && typeof val === "string");
+
+        this.extra[key] = val;
+    }
+
+    write_head(code, more = {}) {
+        assert(typeof code === "number" && typeof more === "object");
+
+        // Keep alive connections are not reused once closing
+        const conn = closed ? { "Connection": "close" } : {};
+
+        this.res.writeHead(
+            code,
+            Object.assign({}, headers, this.extra, more, conn),
+        );
+    }
+
+    /*************************************************************************/
+
+    // Fields are tagged with request ID
+
+    log(level, msg, fields = {}) {
+        assert(log.levels.includes(level));
+
+        log[level](msg, Object.assign({ id: this.id }, fields));
+    }
+
+    /*************************************************************************/
+
+    body(lim = this.lim) {
         // About 128 kiB ASCII, can be up to 4 times more with Unicode
 
         assert(typeof lim === "number" && !isNaN(lim));
@@ -204,12 +774,16 @@ const RequestEvent = class {
         if (this.method !== "POST")
             throw new error.RequestError("Bad method", 405);
 
+        // Already read and checked against schema
+        if (this.payload !== null)
+            return this.payload;
+
         let blocking = false;
         let received = 0;
 
         let data = [];
 
-        return new Promise((resolve, reject) => {
+        this.payload = new Promise((resolve, reject) => {
             this.req.setEncoding("utf8");
 
             this.req.on("data", (chunk) => {
@@ -236,7 +810,9 @@ const RequestEvent = class {
                 try {
                     r = JSON.parse(data);
                 } catch (err) {
-                    return void reject(err);
+                    return void reject(
+                        new error.RequestError("Invalid payload", 400),
+                    );
                 }
 
                 if (typeof r !== "object" || r === null)
@@ -255,6 +831,83 @@ const RequestEvent = class {
                 reject(err);
             });
         });
+
+        return this.payload;
+    }
+
+    /*************************************************************************/
+
+    // Sends 429 and resolves to false if limited, a limiter that cannot be
+    // checked is skipped
+
+    async limit(limiter, p = null) {
+        let r;
+        try {
+            r = await limiter.take(this, p);
+        } catch (err) {
+            this.log("error", "Limiter failed", { err: err });
+            return true;
+        }
+
+        if (r.remaining <= this.remaining || !r.ok) {
+            this.remaining = r.remaining;
+
+            this.set_header("RateLimit-Limit", r.limit.toString());
+            this.set_header("RateLimit-Remaining", r.remaining.toString());
+            this.set_header("RateLimit-Reset", r.reset.toString());
+        }
+
+        if (!r.ok) {
+            m_limited.inc({ limiter: limiter.name || "unknown" });
+
+            this.ez429(r.retry, limiter.msg);
+            return false;
+        }
+
+        return true;
+    }
+
+    /*************************************************************************/
+
+    // Streamed responses, headers are sent with write_head first
+    //
+    // Resolves once the chunk is buffered, waits for the socket to drain
+    // when the buffer is full, rejects if the client is gone
+
+    write(data) {
+        assert(typeof data === "string");
+
+        if (this.req.socket.destroyed)
+            return Promise.reject(new error.RequestError("Client gone", 499));
+
+        if (this.res.write(data))
+            return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                this.res.removeListener("close", gone);
+                resolve();
+            };
+            const gone = () => {
+                this.res.removeListener("drain", done);
+                reject(new error.RequestError("Client gone", 499));
+            };
+
+            this.res.once("drain", done);
+            this.res.once("close", gone);
+        });
+    }
+
+    end(data = "") {
+        assert(typeof data === "string");
+
+        this.res.end(data);
+    }
+
+    // Headers are already sent when streaming fails, the client can only
+    // tell by the connection being cut
+    abort() {
+        this.res.destroy();
     }
 
     /*************************************************************************/
@@ -278,7 +931,7 @@ const RequestEvent = class {
     ez200(obj = {}, pretty = false) {
         assert(typeof obj === "object" && typeof pretty === "boolean");
 
-        this.res.writeHead(200, headers);
+        this.write_head(200);
 
         let data = Object.assign({ success: true }, obj);
         if (pretty)
@@ -289,14 +942,31 @@ const RequestEvent = class {
         this.res.end(data);
     }
 
+    // Body is already serialized, tag is from etag(), responds with 304 if
+    // the client already has it, max age is in seconds
+
+    ez200_cached(data, tag, max_age) {
+        assert(typeof data === "string" && typeof tag === "string");
+        assert(typeof max_age === "number" && max_age >= 0);
+
+        const more = {
+            "Cache-Control": "public, max-age=" + max_age.toString(),
+            "ETag": tag,
+        };
+
+        if (etag_match(this.req.headers["if-none-match"], tag)) {
+            this.write_head(304, more);
+            this.res.end();
+        } else {
+            this.write_head(200, more);
+            this.res.end(data);
+        }
+    }
+
     ez301(loc, msg = "Resource moved") {
         assert(typeof loc === "string" && typeof msg === "string");
 
-        this.res.writeHead(301, Object.assign(
-            {},
-            headers,
-            { "Location": loc },
-        ));
+        this.write_head(301, { "Location": loc });
 
         this.res.end(JSON.stringify({
             success: false,
@@ -306,15 +976,16 @@ const RequestEvent = class {
 
     /*************************************************************************/
 
-    fail(code, msg = "Error occurred") {
+    fail(code, msg = "Error occurred", more = {}) {
         assert(typeof code === "number" && typeof msg === "string");
+        assert(typeof more === "object");
 
-        this.res.writeHead(code, headers);
+        this.write_head(code);
 
-        this.res.end(JSON.stringify({
+        this.res.end(JSON.stringify(Object.assign({
             success: false,
             message: msg,
-        }));
+        }, more)));
     }
 
     // Assertion in method fail
@@ -335,6 +1006,15 @@ const RequestEvent = class {
         this.fail(405, msg);
     }
 
+    // Retry delay is in seconds
+
+    ez429(retry, msg = "Too many requests") {
+        assert(typeof retry === "number");
+
+        this.set_header("Retry-After", Math.max(1, retry).toString());
+        this.fail(429, msg);
+    }
+
     ez500(msg = "Server broken") {
         this.fail(500, msg);
     }
@@ -345,52 +1025,228 @@ const RequestEvent = class {
 
 /*****************************************************************************/
 
-const handler = (req, res) => {
-    const e = new RequestEvent(req, res);
-
-    if (!enabled)
+// Runs after global middleware
+const dispatch = async (e) => {
+    if (!enabled && !always_enabled.has(e.path))
         return void e.ez403();
 
     if (!e.url.startsWith("/"))
         return void e.ez400();
 
-    if (e.method !== "GET" && e.method !== "POST")
-        return void e.ez405();
-
     if (e.auto_upgrade())
         return;
 
-    const app = apps.get(e.url);
-    if (typeof app === "function")
-        return void app(e);
+    const m = match(e.path);
+    if (m === null)
+        return void e.ez404();
+
+    e.route = m.route.path;
+
+    // HEAD is GET without response body, which Node.js drops by itself
+    const method = e.method === "HEAD" ? "GET" : e.method;
+
+    const app = m.route.entries.get(method);
+    if (app === undefined) {
+        const allow = Array.from(m.route.entries.keys());
+        if (allow.includes("GET"))
+            allow.push("HEAD");
+
+        e.set_header("Allow", allow.join(", "));
+        return void e.ez405();
+    }
+
+    for (const key of Object.keys(m.params)) {
+        try {
+            e.params[key] = decodeURIComponent(m.params[key]);
+        } catch (err) {
+            return void e.ez400();
+        }
+    }
+
+    if (app.schema !== null && app.schema.lim !== undefined)
+        e.lim = app.schema.lim;
+
+    await run(app.middleware.concat([
+        async (e, next) => {
+            if (app.schema !== null) {
+                const errs = schema_check(app.schema, await e.body());
+                if (errs.length > 0)
+                    return void e.fail(400, "Bad request", { fields: errs });
+            }
+
+            await next();
+        },
+        async (e) => {
+            await app.handler(e);
+        },
+    ]), e);
+};
+
+// One line per request once the response is sent or the client is gone,
+// query is redacted like other fields
+
+const access_log = (e) => {
+    let done = false;
+
+    const write = (aborted) => {
+        if (done)
+            return;
+        done = true;
+
+        const status = e.res.statusCode;
+        const ms = Date.now() - e.started;
+
+        // Methods are sent by client, others are counted together
+        const method = methods.includes(e.method) || e.method === "HEAD" ?
+            e.method : "OTHER";
+        const route = e.route === null ? ROUTE_NONE : e.route;
+
+        m_requests.inc({
+            method: method,
+            route: route,
+            status: status,
+        });
+        m_duration.observe({ method: method, route: route }, ms / 1000);
+
+        e.log(status >= 500 ? "warn" : "info", "Request", {
+            method: e.method,
+            url: e.path,
+            query: e.query,
+            status: status,
+            ms: ms,
+            ip: e.ip,
+            ua: e.ua,
+            who: typeof e.auth === "string" ? e.auth : null,
+            aborted: aborted,
+        });
+    };
+
+    e.res.once("finish", () => {
+        write(false);
+    });
+    e.res.once("close", () => {
+        write(true);
+    });
+};
+
+/*****************************************************************************/
+
+// Once closed, requests already in flight are let finish, new ones get 503
+
+let closed = false;
+
+const inflight = new Set();
+
+// Called when the last request in flight is done after closing
+let drained = null;
+
+// Requests are in flight until their handler is done, which can be after
+// response is sent
+
+const untrack = (e) => {
+    inflight.delete(e);
 
-    e.ez404();
+    if (closed && inflight.size === 0 && drained !== null)
+        drained();
+};
+
+// Connections, so that idle keep alive ones can be ended when closing
+const sockets = new Set();
+
+/*****************************************************************************/
+
+// Errors that get through are only logged, global middleware should handle
+// them
+const handler = async (req, res) => {
+    const e = new RequestEvent(req, res);
+
+    access_log(e);
+
+    if (closed)
+        return void e.fail(503, "Server closing");
+
+    inflight.add(e);
+
+    try {
+        await run(global_middleware.concat([
+            async (e) => {
+                await dispatch(e);
+            },
+        ]), e);
+    } catch (err) {
+        e.log("error", "Unhandled error", { err: err });
+
+        if (res.headersSent)
+            e.abort();
+        else
+            e.ez500();
+    }
+
+    untrack(e);
 };
 
 const server = http.createServer(handler);
 server.listen(port);
 
+server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.once("close", () => {
+        sockets.delete(socket);
+    });
+});
+
 /*****************************************************************************/
 
-let closed = false;
+// Stops taking connections, waits for requests in flight up to deadline in
+// milliseconds, then ends all connections, those still in flight are cut
 
-const close = () => {
+const close = async (deadline) => {
     assert(!closed);
+    assert(typeof deadline === "number" && deadline >= 0);
 
     closed = true;
 
-    return new Promise((resolve, reject) => {
+    const stopped = new Promise((resolve, reject) => {
         server.close(resolve);
     });
+
+    if (inflight.size > 0) {
+        log.info("Draining requests", { count: inflight.size });
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, deadline);
+
+            drained = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+
+        if (inflight.size > 0)
+            log.warn("Requests cut at deadline", { count: inflight.size });
+    }
+
+    for (const socket of sockets)
+        socket.destroy();
+
+    await stopped;
 };
 
 /*****************************************************************************/
 
 exports.set_host = set_host;
 exports.set_enabled = set_enabled;
+exports.keep_enabled = keep_enabled;
+
+exports.etag = etag;
 
-exports.bind = bind;
+exports.use = use;
+exports.route = route;
+exports.get = get;
+exports.post = post;
+exports.group = group;
 exports.alias = alias;
+exports.docs = docs;
 
 exports.close = close;
 
@@ -0,0 +1,276 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Call throttling engine.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+const db = require("./db.js");
+
+/*****************************************************************************/
+
+const ERR_LIM_NOT_VALID = "Limit must be capacity, period and counted by";
+const ERR_LIM_CAP_NOT_VALID = "Capacity must be a number of at least 1";
+const ERR_LIM_PERIOD_NOT_VALID = "Period must be a number above 0";
+const ERR_LIM_BY_NOT_VALID = "Counted by must be one of ";
+
+/*****************************************************************************/
+
+// Each key has a bucket of tokens, every call takes one, buckets start full
+// and are refilled evenly over a period
+//
+// Stores have:
+//     take(key, who, cap, period) - Resolves to whether a token was taken
+//                                   and tokens left
+//     give(key, cap, period)      - Puts back a token that was taken
+//     clear(who)                  - Refills buckets of a caller
+//     vacuum()                    - Drops buckets that are full
+
+/*****************************************************************************/
+
+// Limits reset when the process restarts and are not shared between
+// instances
+
+const MemoryStore = class {
+    constructor() {
+        this.map = new Map();
+    }
+
+    async take(key, who, cap, period) {
+        assert(typeof key === "string" && typeof who === "string");
+        assert(typeof cap === "number" && typeof period === "number");
+
+        const now = Date.now();
+
+        let entry = this.map.get(key);
+        if (entry === undefined) {
+            entry = {
+                who: who,
+                tokens: cap,
+                stamp: now,
+                filled: now,
+            };
+            this.map.set(key, entry);
+        }
+
+        let tokens = entry.tokens + (now - entry.stamp) * cap / period;
+        tokens = Math.min(cap, tokens);
+
+        const ok = tokens >= 1;
+        if (ok)
+            tokens--;
+
+        entry.who = who;
+        entry.tokens = tokens;
+        entry.stamp = now;
+        entry.filled = now + (cap - tokens) * period / cap;
+
+        return {
+            ok: ok,
+            tokens: tokens,
+        };
+    }
+
+    async give(key, cap, period) {
+        assert(typeof key === "string");
+        assert(typeof cap === "number" && typeof period === "number");
+
+        // Already vacuumed, so it is full
+        const entry = this.map.get(key);
+        if (entry === undefined)
+            return;
+
+        entry.tokens = Math.min(cap, entry.tokens + 1);
+        entry.filled = entry.stamp + (cap - entry.tokens) * period / cap;
+    }
+
+    async clear(who) {
+        assert(typeof who === "string");
+
+        for (const [key, val] of this.map) {
+            if (val.who === who)
+                this.map.delete(key);
+        }
+    }
+
+    async vacuum() {
+        const now = Date.now();
+
+        for (const [key, val] of this.map) {
+            if (val.filled <= now)
+                this.map.delete(key);
+        }
+    }
+};
+
+/*****************************************************************************/
+
+// Limits are kept in database, updates are atomic so instances can share them
+
+const PostgresStore = class {
+    async take(key, who, cap, period) {
+        assert(typeof key === "string" && typeof who === "string");
+        assert(typeof cap === "number" && typeof period === "number");
+
+        return await db.bkt_take(key, who, cap, period);
+    }
+
+    async give(key, cap, period) {
+        assert(typeof key === "string");
+        assert(typeof cap === "number" && typeof period === "number");
+
+        await db.bkt_give(key, cap, period);
+    }
+
+    async clear(who) {
+        assert(typeof who === "string");
+
+        await db.bkt_clear(who);
+    }
+
+    async vacuum() {
+        await db.bkt_vacuum();
+    }
+};
+
+/*****************************************************************************/
+
+const stores = new Map([
+    ["memory", MemoryStore],
+    ["postgres", PostgresStore],
+]);
+
+const create = (kind) => {
+    assert(stores.has(kind));
+
+    const Store = stores.get(kind);
+    return new Store();
+};
+
+/*****************************************************************************/
+
+// What a limit is counted by:
+//     ip    - Request IP
+//     auth  - Authenticated identity, or request IP if not authenticated
+//     ipurl - Request IP and URL in payload, or request URL if there is no
+//             URL in payload
+
+const keyers = new Map([
+    ["ip", (e, p) => {
+        return e.ip;
+    }],
+    ["auth", (e, p) => {
+        if (typeof e.auth === "string")
+            return "auth " + e.auth;
+        else
+            return e.ip;
+    }],
+    ["ipurl", (e, p) => {
+        if (p && typeof p.url === "string")
+            return e.ip + " " + p.url;
+        else
+            return e.ip + " " + e.url;
+    }],
+]);
+
+// A limit is capacity, refill period and what it is counted by, returns
+// the error message, or null if valid
+
+const limit_check = (lim) => {
+    if (!Array.isArray(lim) || lim.length !== 3)
+        return ERR_LIM_NOT_VALID;
+
+    const [cap, period, by] = lim;
+
+    if (typeof cap !== "number" || !(cap >= 1))
+        return ERR_LIM_CAP_NOT_VALID;
+    if (typeof period !== "number" || !(period > 0))
+        return ERR_LIM_PERIOD_NOT_VALID;
+    if (!keyers.has(by))
+        return ERR_LIM_BY_NOT_VALID + Array.from(keyers.keys()).join(", ");
+
+    return null;
+};
+
+// Capacity is the burst size, period is how long it takes to refill an empty
+// bucket in milliseconds
+
+const Limiter = class {
+    constructor(store, name, cap, period, by, msg = "Too many requests") {
+        assert(typeof name === "string" && keyers.has(by));
+        assert(typeof cap === "number" && cap >= 1);
+        assert(typeof period === "number" && period > 0);
+        assert(typeof msg === "string");
+
+        this.store = store;
+
+        this.name = name;
+        this.cap = cap;
+        this.period = period;
+        this.by = by;
+        this.msg = msg;
+    }
+
+    key(e, p) {
+        return this.name + " " + keyers.get(this.by)(e, p);
+    }
+
+    // Reset and retry are in seconds
+
+    async take(e, p = null) {
+        const key = this.key(e, p);
+
+        const r = await this.store.take(key, e.ip, this.cap, this.period);
+
+        const ms_per_token = this.period / this.cap;
+
+        return {
+            ok: r.ok,
+            limit: this.cap,
+            remaining: Math.floor(r.tokens),
+            reset: Math.ceil((this.cap - r.tokens) * ms_per_token / 1000),
+            retry: Math.ceil((1 - r.tokens) * ms_per_token / 1000),
+        };
+    }
+
+    // For calls that are refused for another reason after taking a token
+
+    async give(e, p = null) {
+        await this.store.give(this.key(e, p), this.cap, this.period);
+    }
+};
+
+/*****************************************************************************/
+
+exports.MemoryStore = MemoryStore;
+exports.PostgresStore = PostgresStore;
+
+exports.stores = stores;
+exports.create = create;
+
+exports.Limiter = Limiter;
+exports.limit_check = limit_check;
+
+/*****************************************************************************/
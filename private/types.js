@@ -0,0 +1,225 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Typed value definitions.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+const cache = require("./cache.js");
+const version = require("./version.js");
+
+/*****************************************************************************/
+
+// A definition is an object with:
+//     type    - One of the types below
+//     def     - Default value
+//     pub     - Whether anyone can read it
+//     min     - Optional lower bound, inclusive
+//     max     - Optional upper bound, inclusive
+//     pattern - Optional regular expression a string must fully match
+//     values  - Optional list of allowed strings
+//
+// Bounds are of the value for "int" and "ver", of the length for "str" and of
+// the serialized length for "json"
+
+const MAX_JSON_LEN = 8192;
+
+// Compiled patterns kept, definitions are few so this is only reached when
+// they are changed a lot
+const CACHE_PATTERN_CAP = 256;
+
+const ERR_DEF_NOT_VALID = "Definition not valid";
+const ERR_DEF_TYPE_NOT_VALID = "Definition type not valid";
+const ERR_DEF_BOUND_NOT_VALID = "Definition bound not valid";
+const ERR_DEF_PATTERN_NOT_VALID = "Definition pattern not valid";
+const ERR_DEF_VALUES_NOT_VALID = "Definition allowed values not valid";
+const ERR_DEF_DEFAULT_NOT_VALID = "Definition default not valid";
+
+/*****************************************************************************/
+
+const is_int = (val) => {
+    return typeof val === "number" && Number.isSafeInteger(val);
+};
+
+const is_len = (val) => {
+    return is_int(val) && val >= 0;
+};
+
+// Checks value against type only, and bound against value for "int" and
+// "ver", or length for others
+const types = {
+    ver: {
+        valid: version.valid,
+        bound: version.valid,
+        cmp: version.cmp,
+        measure: (val) => val,
+    },
+    str: {
+        valid: (val) => typeof val === "string",
+        bound: is_len,
+        cmp: (a, b) => a - b,
+        measure: (val) => val.length,
+    },
+    int: {
+        valid: is_int,
+        bound: is_int,
+        cmp: (a, b) => a - b,
+        measure: (val) => val,
+    },
+    bool: {
+        valid: (val) => typeof val === "boolean",
+        bound: () => false,
+        cmp: null,
+        measure: null,
+    },
+    json: {
+        valid: (val) => val !== undefined,
+        bound: is_len,
+        cmp: (a, b) => a - b,
+        measure: (val) => JSON.stringify(val).length,
+    },
+};
+
+/*****************************************************************************/
+
+// Patterns are compiled once, those of definitions that are gone are
+// dropped eventually
+const patterns = new cache.LRU(CACHE_PATTERN_CAP);
+
+const pattern = (src) => {
+    const hit = patterns.get(src);
+    if (hit !== undefined)
+        return hit.val;
+
+    const re = new RegExp("^(?:" + src + ")$");
+    patterns.set(src, re, Infinity);
+
+    return re;
+};
+
+// Returns whether the value satisfies the definition, definition must be
+// valid
+
+const check = (def, val) => {
+    const t = types[def.type];
+    assert(t !== undefined);
+
+    if (!t.valid(val))
+        return false;
+
+    if (def.type === "json" && JSON.stringify(val).length > MAX_JSON_LEN)
+        return false;
+
+    if (def.min !== undefined && t.cmp(t.measure(val), def.min) < 0)
+        return false;
+    if (def.max !== undefined && t.cmp(t.measure(val), def.max) > 0)
+        return false;
+
+    if (def.pattern !== undefined && !pattern(def.pattern).test(val))
+        return false;
+
+    if (def.values !== undefined && !def.values.includes(val))
+        return false;
+
+    return true;
+};
+
+// Returns the error message, or null if valid
+
+const def_check = (def) => {
+    if (typeof def !== "object" || def === null || Array.isArray(def))
+        return ERR_DEF_NOT_VALID;
+
+    if (typeof def.type !== "string" || !types.hasOwnProperty(def.type))
+        return ERR_DEF_TYPE_NOT_VALID;
+
+    const t = types[def.type];
+
+    if (typeof def.pub !== "boolean")
+        return ERR_DEF_NOT_VALID;
+
+    for (const key of ["min", "max"]) {
+        if (def[key] !== undefined && !t.bound(def[key]))
+            return ERR_DEF_BOUND_NOT_VALID;
+    }
+    if (
+        def.min !== undefined && def.max !== undefined &&
+        t.cmp(def.min, def.max) > 0
+    ) {
+        return ERR_DEF_BOUND_NOT_VALID;
+    }
+
+    if (def.pattern !== undefined) {
+        if (def.type !== "str" || typeof def.pattern !== "string")
+            return ERR_DEF_PATTERN_NOT_VALID;
+
+        try {
+            pattern(def.pattern);
+        } catch (err) {
+            return ERR_DEF_PATTERN_NOT_VALID;
+        }
+    }
+
+    if (def.values !== undefined) {
+        if (
+            def.type !== "str" ||
+            !Array.isArray(def.values) ||
+            def.values.length === 0 ||
+            !def.values.every((v) => typeof v === "string")
+        ) {
+            return ERR_DEF_VALUES_NOT_VALID;
+        }
+    }
+
+    if (!check(def, def.def))
+        return ERR_DEF_DEFAULT_NOT_VALID;
+
+    return null;
+};
+
+// Returns a copy with only known fields
+
+const def_clean = (def) => {
+    const out = {
+        type: def.type,
+        def: def.def,
+        pub: def.pub,
+    };
+
+    for (const key of ["min", "max", "pattern", "values"]) {
+        if (def[key] !== undefined)
+            out[key] = def[key];
+    }
+
+    return out;
+};
+
+/*****************************************************************************/
+
+exports.check = check;
+exports.def_check = def_check;
+exports.def_clean = def_clean;
+
+/*****************************************************************************/
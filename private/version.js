@@ -0,0 +1,68 @@
+/******************************************************************************
+
+    Integration Server - Solutions database and reports processor
+    Copyright (C) 2018  Hugo Xu
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+*******************************************************************************
+
+    Extension version utilities.
+
+******************************************************************************/
+
+"use strict";
+
+/*****************************************************************************/
+
+const assert = require("assert");
+
+/*****************************************************************************/
+
+// Extension versions have four numeric parts, like "1.0.0.65"
+const re_valid_ver = /^\d+\.\d+\.\d+\.\d+$/;
+
+const valid = (v) => {
+    return typeof v === "string" && re_valid_ver.test(v);
+};
+
+// Negative if a is older than b, positive if newer, 0 if same
+const cmp = (a, b) => {
+    assert(valid(a) && valid(b));
+
+    const pa = a.split(".");
+    const pb = b.split(".");
+
+    for (let i = 0; i < pa.length; i++) {
+        // Leading zeros do not matter, length matters before content
+        const na = pa[i].replace(/^0+(?=\d)/, "");
+        const nb = pb[i].replace(/^0+(?=\d)/, "");
+
+        if (na.length !== nb.length)
+            return na.length - nb.length;
+
+        if (na !== nb)
+            return na < nb ? -1 : 1;
+    }
+
+    return 0;
+};
+
+/*****************************************************************************/
+
+exports.re_valid = re_valid_ver;
+exports.valid = valid;
+exports.cmp = cmp;
+
+/*****************************************************************************/